@@ -1,29 +1,37 @@
 require('dotenv').config();
 
-// Global catch to prevent WebSocket closures from crashing the bot
+const { logger, calculateMultiProtocolArbitrage, estimateMargin, estimateStakeShares } = require('./src/engine/ArbitrageEngine');
+
+// Last resort: WebSocket closures and RPC failures are handled by the ProviderManager (reconnect / failover),
+// subscriptions and loops catch their own errors. Anything reaching here leaves the process in an unknown
+// state: log it and exit, the supervisor restarts the bot and legs left pending are reconciled on startup
 process.on('uncaughtException', (err) => {
-    console.error(`[Process] Uncaught Exception:`, err);
+    logger.fatal(`[Process] 💥 Uncaught exception: ${err.stack || err.message}`);
+    process.exit(1);
 });
-process.on('unhandledRejection', (reason, promise) => {
-    console.error(`[Process] Unhandled Rejection:`, reason);
+process.on('unhandledRejection', (reason) => {
+    logger.fatal(`[Process] 💥 Unhandled rejection: ${(reason && reason.stack) || reason}`);
+    process.exit(1);
 });
-
-const { logger, calculateArbitrageOpportunity } = require('./src/engine/ArbitrageEngine');
-const { hydrateDictionaryByCompositeKey } = require('./src/utils/dictionaryHydration');
-const AzuroFetcher = require('./src/fetchers/AzuroFetcher');
-const OvertimeFetcher = require('./src/fetchers/OvertimeFetcher');
+const { buildEventClusters } = require('./src/utils/dictionaryHydration');
+const { alignOutcomes, applyNativeOutcomes } = require('./src/utils/outcomeMapping');
+const fetcherRegistry = require('./src/fetchers/FetcherRegistry');
 const GasOracle = require('./src/config/GasOracle');
+const betLedger = require('./src/storage/BetLedger');
+const bankrollManager = require('./src/engine/BankrollManager');
+const stakeOptimizer = require('./src/engine/StakeOptimizer');
+const executionEngine = require('./src/engine/ExecutionEngine');
+const signerPool = require('./src/engine/SignerPool');
+const allowanceManager = require('./src/engine/AllowanceManager');
+const realtimeWatcher = require('./src/engine/RealtimeWatcher');
 
 // Configuration
-const AZURO_SUBGRAPH_URL = process.env.AZURO_SUBGRAPH_URL;
-const OVERTIME_API_URL = process.env.OVERTIME_API_URL;
-const AZURO_LP_CONTRACT = process.env.AZURO_LP_CONTRACT || "0x204e7371Ade792c5C006fb52711c50a7efC843ed";
-const OVERTIME_SPORTS_AMM_ARBITRUM = process.env.OVERTIME_SPORTS_AMM_ARBITRUM || "0x170a5714112daEfF20E798B6e92e25B86Ea603C1";
-const TOTAL_INVESTMENT = parseFloat(process.env.TOTAL_INVESTMENT || "100");
-
-// Protocol Commissions
-const AZURO_COMMISSION = 0.05;
-const OVERTIME_COMMISSION = 0.03;
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const OPTIMIZE_STAKE = process.env.OPTIMIZE_STAKE === 'true';
+// Subscribe to on-chain odds changes of matched clusters and re-evaluate them immediately
+const REALTIME_MODE = process.env.REALTIME_MODE === 'true';
+// Phase-1 (subgraph) margin above which a pair is not worth RPC calls. Slack over 1.0 covers stale subgraph odds.
+const PRESCREEN_MAX_MARGIN = parseFloat(process.env.PRESCREEN_MAX_MARGIN || "1.05");
 
 const fs = require('fs');
 
@@ -46,23 +54,204 @@ const C = {
     bgMagenta: '\x1b[45m',
 };
 
+// Discovery list style per protocol (unknown protocols fall back to plain cyan)
+const PROTOCOL_STYLES = {
+    azuro: { color: C.magenta, icon: '🅰️ ' },
+    overtime: { color: C.blue, icon: '🅾️ ' },
+    dexsport: { color: C.yellow, icon: '🅳 ' }
+};
+
 // Interval definitions
 const DISCOVERY_INTERVAL_MS = 30000; // 30 seconds
 const CLAIM_INTERVAL_MS = 60000; // 1 minute
+const ALLOWANCE_CHECK_INTERVAL_MS = parseInt(process.env.ALLOWANCE_CHECK_INTERVAL_MS || "600000"); // 10 minutes
 
 // Global State
 let isDiscoveryRunning = false;
-let previousAzuroIds = new Set();
-let previousOvertimeIds = new Set();
-const placedBets = new Set(); // Tracks match IDs already bet on to avoid duplicates
-
-// Initialize Fetchers and Oracle Once
-const azuroFetcher = new AzuroFetcher(AZURO_SUBGRAPH_URL, process.env.POLYGON_WS_URL);
-const overtimeFetcher = new OvertimeFetcher(OVERTIME_API_URL, process.env.ARBITRUM_RPC_URL, OVERTIME_SPORTS_AMM_ARBITRUM);
-const gasOracle = new GasOracle(
-    process.env.ARBITRUM_RPC_URL || "https://arb1.arbitrum.io/rpc",
-    process.env.POLYGON_RPC_URL || "https://polygon-rpc.com"
-);
+let previousIds = {}; // protocol -> Set of event ids seen in the last cycle
+let cycleContext = null; // { reference, gasFees, commissions } of the last discovery cycle, reused by real-time updates
+const evaluatingBets = new Set(); // betKeys of the clusters being evaluated right now
+// Tracks match IDs already bet on to avoid duplicates (rehydrated from the persistent Bet Ledger)
+betLedger.load();
+const placedBets = betLedger.getPlacedBetKeys();
+
+// Initialize Fetchers (PROTOCOLS) and Oracle Once
+fetcherRegistry.loadFromEnv();
+const fetchers = fetcherRegistry.list();
+const gasOracle = new GasOracle();
+
+/**
+ * Console block listing the events discovered on one protocol.
+ */
+function formatDiscoveryList(protocol, events) {
+    const style = PROTOCOL_STYLES[protocol] || { color: C.cyan, icon: '•' };
+    const title = protocol.charAt(0).toUpperCase() + protocol.slice(1);
+    return `${style.color}${C.bold}${style.icon} ${title} (${events.length})${C.reset}\n` + events.map(e => `  ${C.dim}├─${C.reset} ${C.white}${e.name}${C.reset} ${C.dim}${e.marketKey}${C.reset} ${C.cyan}[${(e.odds || []).join(', ')}]${C.reset}`).join('\n');
+}
+
+/**
+ * Evaluates one matched cluster: pre-screen, bankroll, live odds, arbitrage math, gas and execution.
+ * Called for every cluster of a discovery cycle, and for a single cluster on a real-time odds update.
+ * @param {object} cluster - From buildEventClusters
+ * @param {object} context - { reference, gasFees, commissions } of the current discovery cycle, plus
+ *   `oddsOverride` ({ [protocol]: odds }) on a real-time update: fresher than the events' odds
+ */
+async function evaluateCluster(cluster, context) {
+    const refEvent = cluster.events[context.reference];
+
+    // ── BET DEDUPLICATION: Skip if already placed ──
+    const betKey = clusterBetKey(cluster);
+    if (placedBets.has(betKey)) {
+        logger.debug(`${C.dim}⏭️  Skipping [${refEvent.name}] — bet already placed in a previous cycle.${C.reset}`);
+        return;
+    }
+
+    // The discovery cycle and real-time updates can reach the same cluster at once: one evaluation at a time
+    if (evaluatingBets.has(betKey)) {
+        logger.debug(`${C.dim}⏭️  Skipping [${refEvent.name}] — already being evaluated.${C.reset}`);
+        return;
+    }
+
+    evaluatingBets.add(betKey);
+    try {
+        await validateCluster(cluster, betKey, context);
+    } finally {
+        evaluatingBets.delete(betKey);
+    }
+}
+
+/**
+ * Dedup key of a cluster: the ids of its member events.
+ */
+function clusterBetKey(cluster) {
+    return Object.keys(cluster.events).map(protocol => cluster.events[protocol].id).join('_');
+}
+
+async function validateCluster(cluster, betKey, { reference, gasFees, commissions, oddsOverride }) {
+    const refEvent = cluster.events[reference];
+    const members = Object.keys(cluster.events);
+
+    // ── OUTCOME ALIGNMENT: index i must mean the same real-world outcome on every protocol ──
+    const subgraphOdds = {};
+    for (const protocol of members) subgraphOdds[protocol] = (oddsOverride && oddsOverride[protocol]) || cluster.events[protocol].odds;
+    const phase1Alignment = alignOutcomes(cluster, subgraphOdds);
+    if (!phase1Alignment.ok) {
+        logger.warn(`${C.yellow}⚠️  Rejecting [${refEvent.name}] — misaligned outcomes: ${phase1Alignment.reason}${C.reset}`);
+        return;
+    }
+    for (const { protocol, reason } of phase1Alignment.dropped) {
+        logger.warn(`${C.yellow}⚠️  [${refEvent.name}] ${protocol.toUpperCase()} left out — ${reason}${C.reset}`);
+    }
+
+    // ── PRE-SCREEN: Skip groups whose subgraph odds are far from crossing ──
+    const phase1Margin = estimateMargin(phase1Alignment.odds, commissions);
+    if (phase1Margin > PRESCREEN_MAX_MARGIN) {
+        logger.debug(`${C.dim}⏭️  Skipping [${refEvent.name}] — Phase 1 margin ${phase1Margin.toFixed(4)} above ${PRESCREEN_MAX_MARGIN}.${C.reset}`);
+        return;
+    }
+
+    // ── BANKROLL: Stake sized from live balances, open exposure and caps ──
+    // Caps apply per game: every market (winner, totals, handicaps) of the same game shares them.
+    // Each leg is funded on its own chain: the Phase 1 split tells how much of the stake each chain takes
+    const stake = await bankrollManager.getStake({
+        matchId: cluster.eventId,
+        sport: refEvent.sport,
+        stakeShares: estimateStakeShares(phase1Alignment.odds, commissions)
+    });
+    if (stake <= 0) {
+        logger.debug(`${C.dim}⏭️  Skipping [${refEvent.name}] — no bankroll left under the match/sport caps.${C.reset}`);
+        return;
+    }
+
+    logger.info(`${C.cyan}🔍 Validating${C.reset} [${C.bold}${refEvent.name}${C.reset} · ${refEvent.marketKey}] on-chain with ${C.bold}$${stake.toFixed(2)}${C.reset} across ${phase1Alignment.protocols.join(', ')}...`);
+
+    // Live odds of every aligned protocol (subgraph odds when the protocol has no RPC configured)
+    const liveOdds = {};
+    const frozen = [];
+    await Promise.all(phase1Alignment.protocols.map(async (protocol) => {
+        const live = await fetcherRegistry.get(protocol).getLiveOdds(cluster.events[protocol], stake);
+        // Do not fallback to Phase 1 data; if it fails on-chain, treat as frozen/unavailable.
+        if (live.isFrozen || live.odds.length === 0) {
+            frozen.push(protocol);
+        } else {
+            liveOdds[protocol] = live.odds;
+        }
+    }));
+    // Latency reference of the whole pipeline: odds observed on-chain -> bets broadcast
+    const detectedAt = Date.now();
+
+    // The reference market is the one every other protocol is aligned on: without it nothing can be compared
+    if (frozen.includes(reference) || Object.keys(liveOdds).length < 2) {
+        logger.warn(`[Suspension Shield] Arbitrage ignored for ${refEvent.name} - Market is Closed/Frozen on ${frozen.join(', ')}.`);
+        return;
+    }
+
+    // Live odds are re-aligned: the number of outcomes can differ from the subgraph snapshot
+    const alignment = alignOutcomes(cluster, liveOdds);
+    if (!alignment.ok) {
+        logger.warn(`${C.yellow}⚠️  Rejecting [${refEvent.name}] — misaligned live outcomes: ${alignment.reason}${C.reset}`);
+        return;
+    }
+
+    let result = calculateMultiProtocolArbitrage(refEvent.name, alignment.odds, stake, gasFees, commissions);
+
+    // ── STAKE OPTIMIZER: walk the AMM price-impact curves when the odds cross ──
+    if (OPTIMIZE_STAKE && result.margin < 1 && alignment.protocols.every(p => fetcherRegistry.get(p).hasLiveQuotes)) {
+        result = await stakeOptimizer.optimize({
+            name: refEvent.name,
+            numOutcomes: alignment.labels.length,
+            maxInvestment: stake,
+            protocols: alignment.protocols,
+            sampleQuote: (bookie, outcomeIndex, legStake) => fetcherRegistry.get(bookie)
+                .quoteOutcome(cluster.events[bookie], alignment.nativeIds[bookie][outcomeIndex], legStake),
+            gasFees,
+            commissions
+        });
+    }
+
+    if (result.isArbitrage) {
+        // Attach the specific matchId and dedup key to the payload
+        result.matchId = refEvent.id;
+        result.betKey = betKey;
+        result.eventName = refEvent.name;
+        result.eventId = cluster.eventId;
+        result.gameId = refEvent.gameId;
+        result.marketKey = refEvent.marketKey;
+        result.sport = refEvent.sport;
+        result.detectedAt = detectedAt;
+        result.markets = {};
+        for (const protocol of alignment.protocols) result.markets[protocol] = cluster.events[protocol].id;
+        // Events are kept for re-quotes (HedgeManager)
+        result.events = cluster.events;
+        // Legs were computed on canonical indices: switch them to each protocol's own outcome id / position
+        applyNativeOutcomes(result, alignment);
+        // Each leg is placed on its own protocol's market (Azuro condition, Overtime market address...)
+        for (const leg of result.legs) {
+            leg.matchId = cluster.events[leg.bookie].id;
+        }
+
+        // ── GAS: exact approval / bet transactions instead of per-action defaults ──
+        await executionEngine.estimateLegGas(result, gasOracle);
+    }
+
+    if (result.isArbitrage && !bankrollManager.meetsMinProfit(result)) {
+        logger.info(`${C.dim}💸 Surebet on [${refEvent.name}] skipped: $${result.minNetProfit.toFixed(2)} profit below MIN_ABS_PROFIT_USD.${C.reset}`);
+    } else if (result.isArbitrage) {
+        logger.info(`\n${C.bgGreen}${C.white}${C.bold} 🚨  SUREBET DETECTED  🚨 ${C.reset}`);
+        logger.info(`${C.green}${C.bold}💰 Net Profit: ${result.profitPercentage.toFixed(2)}% | Amount: $${result.minNetProfit.toFixed(2)}${C.reset}`);
+        logger.info(`${C.yellow}⚡ Triggering ExecutionEngine...${C.reset}`);
+
+        // Fire the Execution Engine to broadcast trades
+        const placed = await executionEngine.evaluateAndExecute(result);
+
+        // ── Mark this bet as placed to avoid duplicates ──
+        // Same rule as the ledger on restart: an aborted or fully failed attempt can be retried
+        if (placed) {
+            placedBets.add(betKey);
+            logger.info(`${C.dim}📝 Bet registered in dedup cache (${placedBets.size} total placed bets)${C.reset}`);
+        }
+    }
+}
 
 async function runDiscoveryCycle() {
     if (isDiscoveryRunning) {
@@ -78,26 +267,26 @@ async function runDiscoveryCycle() {
     try {
         // --- PHASE 1: DISCOVERY (Subgraphs & API) ---
         logger.debug(`${C.cyan}📡 [PHASE 1]${C.reset} Subgraph Discovery: Scanning for events...`);
-        const [azuroData, overtimeData] = await Promise.all([
-            azuroFetcher.fetchActiveEvents(),
-            overtimeFetcher.fetchActiveEvents() // Phase 1: Thales API Discovery
-        ]);
+        const results = await Promise.all(fetchers.map(fetcher => fetcher.fetchActiveEvents()));
+        const eventsByProtocol = {};
+        fetchers.forEach((fetcher, i) => { eventsByProtocol[fetcher.protocol] = results[i]; });
 
-        const currentAzuroIds = new Set(azuroData.map(e => e.id));
-        const currentOvertimeIds = new Set(overtimeData.map(e => e.id));
-
-        const isAzuroIdentical = [...currentAzuroIds].every(id => previousAzuroIds.has(id)) && currentAzuroIds.size === previousAzuroIds.size;
-        const isOvertimeIdentical = [...currentOvertimeIds].every(id => previousOvertimeIds.has(id)) && currentOvertimeIds.size === previousOvertimeIds.size;
+        const currentIds = {};
+        for (const [protocol, events] of Object.entries(eventsByProtocol)) {
+            currentIds[protocol] = new Set(events.map(e => e.id));
+        }
 
-        const azuroNames = azuroData.map(e => e.name);
-        const overtimeNames = overtimeData.map(e => e.name);
+        const isIdentical = Object.entries(currentIds).every(([protocol, ids]) => {
+            const previous = previousIds[protocol] || new Set();
+            return [...ids].every(id => previous.has(id)) && ids.size === previous.size;
+        });
+        const hasEvents = Object.values(eventsByProtocol).some(events => events.length > 0);
 
-        const azuroListStr = `${C.magenta}${C.bold}🅰️  Azuro (${azuroData.length})${C.reset}\n` + azuroData.map(e => `  ${C.dim}├─${C.reset} ${C.white}${e.name}${C.reset} ${C.cyan}[${(e.odds || []).join(', ')}]${C.reset}`).join('\n');
-        const overtimeListStr = `${C.blue}${C.bold}🅾️  Overtime (${overtimeData.length})${C.reset}\n` + overtimeData.map(e => `  ${C.dim}├─${C.reset} ${C.white}${e.name}${C.reset} ${C.cyan}[${(e.odds || []).join(', ')}]${C.reset}`).join('\n');
+        const discoveryListStr = Object.entries(eventsByProtocol).map(([protocol, events]) => formatDiscoveryList(protocol, events)).join('\n');
 
-        if (isAzuroIdentical && isOvertimeIdentical && (azuroData.length > 0 || overtimeData.length > 0)) {
+        if (isIdentical && hasEvents) {
             // Log quietly to file instead of spamming terminal
-            const logMsg = `[${new Date().toISOString()}] No new matches.\n${azuroListStr}\n${overtimeListStr}\n-------------------------\n`;
+            const logMsg = `[${new Date().toISOString()}] No new matches.\n${discoveryListStr}\n-------------------------\n`;
 
             // Maintain a maximum of 10 blocks in the log file
             try {
@@ -117,89 +306,50 @@ async function runDiscoveryCycle() {
         } else {
             // New events discovered, log them directly to the console
             logger.info(`\n${C.bgBlue}${C.white}${C.bold} 🆕  NEW EVENTS DISCOVERED ${C.reset}`);
-            logger.info(azuroListStr);
-            logger.info(overtimeListStr);
+            logger.info(discoveryListStr);
 
-            previousAzuroIds = currentAzuroIds;
-            previousOvertimeIds = currentOvertimeIds;
+            previousIds = currentIds;
         }
 
-        const matchedPairs = hydrateDictionaryByCompositeKey(azuroData, overtimeData);
-        if (matchedPairs.length > 0) {
-            logger.info(`${C.green}${C.bold}🔗 Found ${matchedPairs.length} matched pair(s)${C.reset} out of ${azuroData.length} Azuro markets!`);
+        // The same event/market listed on several protocols forms one cluster around the reference protocol's market
+        const reference = fetcherRegistry.referenceProtocol;
+        const referenceCount = eventsByProtocol[reference].length;
+        const refTitle = reference.charAt(0).toUpperCase() + reference.slice(1);
+        const clusters = buildEventClusters(eventsByProtocol, reference);
+        if (clusters.length > 0) {
+            logger.info(`${C.green}${C.bold}🔗 Found ${clusters.length} matched cluster(s)${C.reset} out of ${referenceCount} ${refTitle} markets!`);
         } else {
-            logger.debug(`${C.dim}🔗 0 matched pairs out of ${azuroData.length} Azuro markets${C.reset}`);
+            logger.debug(`${C.dim}🔗 0 matched clusters out of ${referenceCount} ${refTitle} markets${C.reset}`);
         }
 
         // --- PHASE 2: REAL-TIME ARBITRAGE (Smart Contracts) ---
-        if (matchedPairs.length > 0) {
-            // Dynamic Gas Fetching via Oracle
-            const avgPolygonGas = await gasOracle.getGasCostInUsd('polygon');
-            const avgArbitrumGas = await gasOracle.getGasCostInUsd('arbitrum') || 0.10; // Arbitrum fallback
-            logger.info(`${C.yellow}⛽ [Gas Oracle]${C.reset} Polygon ${C.green}$${avgPolygonGas.toFixed(2)}${C.reset} | Arbitrum ${C.green}$${avgArbitrumGas.toFixed(2)}${C.reset}`);
-
-            for (const pair of matchedPairs) {
-                const subAz = pair.eventA;
-                const subOv = pair.eventB;
-
-                // ── BET DEDUPLICATION: Skip if already placed ──
-                const betKey = `${subAz.id}_${subOv.id}`;
-                if (placedBets.has(betKey)) {
-                    logger.debug(`${C.dim}⏭️  Skipping [${subAz.name}] — bet already placed in a previous cycle.${C.reset}`);
-                    continue;
-                }
-
-                logger.info(`${C.cyan}🔍 Validating${C.reset} [${C.bold}${subAz.name}${C.reset}] on-chain...`);
-                let liveAzuro = { isFrozen: false, odds: subAz.odds };
-                let liveOvertime = { isFrozen: false, odds: subOv.odds };
-
-                if (process.env.POLYGON_WS_URL) {
-                    liveAzuro = await azuroFetcher.getLatestOddsFromContract(AZURO_LP_CONTRACT, subAz.id);
-                }
-
-                if (process.env.ARBITRUM_RPC_URL) {
-                    liveOvertime = await overtimeFetcher.getLatestOddsFromContract(subOv.id, TOTAL_INVESTMENT);
-                }
-
-                if (liveAzuro.odds.length === 0) {
-                    // Do not fallback to Phase 1 data; if it fails on-chain, treat as frozen/unavailable.
-                    liveAzuro.isFrozen = true;
-                }
-                if (liveOvertime.odds.length === 0) {
-                    // Do not fallback to Phase 1 dummy data; if it fails on-chain, treat as frozen/unavailable.
-                    liveOvertime.isFrozen = true;
-                }
+        if (clusters.length > 0) {
+            // Dynamic Gas Fetching via Oracle: cost of each protocol's own bet and claim actions on its chain.
+            // Gas and commissions are keyed by protocol, as expected by the arbitrage math;
+            // surebets are re-priced with the exact transactions before execution
+            const gasFees = {};
+            const commissions = {};
+            for (const fetcher of fetchers) {
+                gasFees[fetcher.protocol] = {
+                    bet: await gasOracle.getGasCostInUsd(fetcher.chain, fetcher.betAction),
+                    claim: await gasOracle.getGasCostInUsd(fetcher.chain, 'claim')
+                };
+                commissions[fetcher.protocol] = fetcher.commission || 0;
+            }
+            logger.info(`${C.yellow}⛽ [Gas Oracle]${C.reset} ` + fetchers.map(f => `${f.protocol.charAt(0).toUpperCase() + f.protocol.slice(1)} (${f.chain}) ${C.green}$${gasFees[f.protocol].bet.toFixed(2)}${C.reset} ${C.dim}+ claim $${gasFees[f.protocol].claim.toFixed(2)}${C.reset}`).join(` ${C.dim}|${C.reset} `));
 
-                const result = calculateArbitrageOpportunity(
-                    subAz.name,
-                    liveAzuro.odds, // Array of all outcomes on Azuro
-                    liveOvertime.odds, // Array of all outcomes on Overtime (with Slippage applied)
-                    TOTAL_INVESTMENT,
-                    avgPolygonGas,
-                    avgArbitrumGas,
-                    AZURO_COMMISSION,
-                    OVERTIME_COMMISSION,
-                    liveAzuro.isFrozen,
-                    liveOvertime.isFrozen
-                );
-
-                if (result.isArbitrage) {
-                    // Attach the specific matchId to the payload
-                    result.matchId = subAz.id;
-                    logger.info(`\n${C.bgGreen}${C.white}${C.bold} 🚨  SUREBET DETECTED  🚨 ${C.reset}`);
-                    logger.info(`${C.green}${C.bold}💰 Net Profit: ${result.profitPercentage.toFixed(2)}% | Amount: $${result.minNetProfit.toFixed(2)}${C.reset}`);
-                    logger.info(`${C.yellow}⚡ Triggering ExecutionEngine...${C.reset}`);
-
-                    // Fire the Execution Engine to broadcast trades
-                    await require('./src/engine/ExecutionEngine').evaluateAndExecute(result);
-
-                    // ── Mark this bet as placed to avoid duplicates ──
-                    placedBets.add(betKey);
-                    logger.info(`${C.dim}📝 Bet registered in dedup cache (${placedBets.size} total placed bets)${C.reset}`);
-                }
+            cycleContext = { reference, gasFees, commissions };
+            for (const cluster of clusters) {
+                await evaluateCluster(cluster, cycleContext);
             }
         }
 
+        // ── REAL-TIME MODE: odds-change events re-evaluate a cluster between two discovery ticks ──
+        if (REALTIME_MODE) {
+            const watched = clusters.filter(cluster => !placedBets.has(clusterBetKey(cluster)));
+            realtimeWatcher.sync(watched, (cluster, oddsOverride) => evaluateCluster(cluster, { ...cycleContext, oddsOverride }));
+        }
+
     } catch (e) {
         logger.error(`Critical Error in Discovery Cycle: ${e.message}`);
         if (e.stack) logger.error(e.stack);
@@ -214,9 +364,26 @@ async function runDiscoveryCycle() {
 // ---------------------------------------------------------
 
 logger.info(`${C.bgMagenta}${C.white}${C.bold}                                              ${C.reset}`);
-logger.info(`${C.bgMagenta}${C.white}${C.bold}   🤖  Web3-Arb-Sentry   ·   PRODUCTION MODE   ${C.reset}`);
+logger.info(`${C.bgMagenta}${C.white}${C.bold}   🤖  Web3-Arb-Sentry   ·   ${DRY_RUN ? 'PAPER TRADING  ' : 'PRODUCTION MODE'}   ${C.reset}`);
 logger.info(`${C.bgMagenta}${C.white}${C.bold}                                              ${C.reset}`);
-logger.info(`${C.cyan}📊 Investment: ${C.bold}$${TOTAL_INVESTMENT}${C.reset} ${C.dim}|${C.reset} ${C.cyan}🔄 Interval: ${C.bold}${DISCOVERY_INTERVAL_MS / 1000}s${C.reset} ${C.dim}|${C.reset} ${C.cyan}🎯 Dedup: ${C.green}ON${C.reset}`);
+logger.info(`${C.cyan}📊 Bankroll: ${C.bold}${(bankrollManager.fraction * 100).toFixed(0)}% per arb${C.reset} ${C.dim}(fallback $${bankrollManager.fallbackStake})${C.reset} ${C.dim}|${C.reset} ${C.cyan}🔄 Interval: ${C.bold}${DISCOVERY_INTERVAL_MS / 1000}s${C.reset} ${C.dim}|${C.reset} ${C.cyan}🎯 Dedup: ${C.green}ON${C.reset} ${C.dim}(${placedBets.size} restored)${C.reset}`);
+logger.info(`${C.cyan}⚡ Real-time:${C.reset} ${REALTIME_MODE ? `${C.green}ON${C.reset} ${C.dim}(odds-change events re-evaluate matched clusters)${C.reset}` : `${C.dim}OFF${C.reset}`}`);
+logger.info(`${C.cyan}📒 Ledger:${C.reset} ${betLedger.journalPath} ${C.dim}|${C.reset} ${C.cyan}${betLedger.getClaimableLegs().length} ticket(s) awaiting payout${C.reset}`);
+for (const arb of betLedger.getNakedExposures()) {
+    const last = arb.recoveries[arb.recoveries.length - 1];
+    logger.warn(`${C.red}🚨 Naked exposure:${C.reset} ${arb.matchId} (${arb.eventName || 'unknown event'}) since ${last.ts}: ${last.reason}. Manual action required!`);
+}
+// Legs a crash left PENDING are settled from their on-chain receipts, or reported for manual action
+executionEngine.reconcilePendingLegs()
+    .catch(err => logger.error(`[Execution] Pending leg reconciliation failed: ${err.message}`));
+logger.info(`${C.cyan}🔐 Allowances:${C.reset} ${C.bold}${allowanceManager.policy}${C.reset}${allowanceManager.policy === 'capped' ? ` $${allowanceManager.capUsd}` : ''} ${C.dim}(refill below $${allowanceManager.minUsd}, checked every ${ALLOWANCE_CHECK_INTERVAL_MS / 1000}s)${C.reset}`);
+
+// 0. Pre-warm the signers (chain id, nonce, fee data) so the first surebet only signs and broadcasts,
+//    then pre-approve every spender: low allowances surface now, not in the middle of a trade
+const checkAllowances = () => allowanceManager.ensureAll()
+    .catch(err => logger.error(`[Allowance Loop Error] ${err.message}`));
+(DRY_RUN ? Promise.resolve() : signerPool.warmUp(fetcherRegistry.chains())).then(checkAllowances);
+setInterval(checkAllowances, ALLOWANCE_CHECK_INTERVAL_MS);
 
 // 1. Trigger the very first Discovery loop instantly
 runDiscoveryCycle();
@@ -224,9 +391,9 @@ runDiscoveryCycle();
 // 2. Schedule infinite Discovery loops every 2 minutes
 setInterval(runDiscoveryCycle, DISCOVERY_INTERVAL_MS);
 
-// 3. Schedule infinite Claim Engine polling every 1 minute
-if (process.env.AUTO_CLAIM === 'true') {
-    logger.info(`${C.green}✅ ClaimEngine${C.reset} auto-claim polling started (every ${CLAIM_INTERVAL_MS / 1000}s)`);
+// 3. Schedule infinite Claim Engine polling every 1 minute (also settles the DRY_RUN paper portfolio)
+if (process.env.AUTO_CLAIM === 'true' || DRY_RUN) {
+    logger.info(`${C.green}✅ ClaimEngine${C.reset} ${DRY_RUN ? 'paper settlement' : 'auto-claim'} polling started (every ${CLAIM_INTERVAL_MS / 1000}s)`);
     setInterval(async () => {
         try {
             const claimEngine = require('./src/engine/ClaimEngine');
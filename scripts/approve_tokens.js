@@ -1,77 +1,81 @@
-const { ethers } = require('ethers');
 require('dotenv').config();
 
-const ERC20_ABI = [
-    "function approve(address spender, uint256 amount) public returns (bool)",
-    "function allowance(address owner, address spender) public view returns (uint256)",
-    "function decimals() view returns (uint8)",
-    "function symbol() view returns (string)"
-];
+const { BOOKIE_CHAINS } = require('../src/config/chains');
+const allowanceManager = require('../src/engine/AllowanceManager');
+const { ALLOWANCE_POLICIES, ALLOWANCE_POLICY_ALIASES, resolvePolicy } = require('../src/engine/AllowanceManager');
+const signerPool = require('../src/engine/SignerPool');
+const fetcherRegistry = require('../src/fetchers/FetcherRegistry');
+const { BUILT_IN_PROTOCOLS } = require('../src/fetchers/FetcherRegistry');
+
+const CHAINS = [...new Set(Object.values(BOOKIE_CHAINS))];
+const POLICIES = Object.values(ALLOWANCE_POLICIES);
 
 async function approveTokens() {
     console.log("=========================================");
     console.log("💰 Token Allowance Script 💰");
     console.log("=========================================");
-    const privateKey = process.env.PRIVATE_KEY;
 
     // Parse command line arguments
-    const args = process.argv.slice(2);
-    if (args.length !== 1) {
-        console.error("❌ Usage: node approve_tokens.js <--bsc | --polygon>");
-        console.error("Example: node approve_tokens.js --bsc");
+    const args = process.argv.slice(2).map(arg => arg.toLowerCase());
+    const chainArgs = args.filter(arg => arg === '--all' || CHAINS.includes(arg.slice(2)));
+    // --protocol=<name> approves one built-in protocol, even when it is not listed in PROTOCOLS
+    const protocolArg = args.find(arg => arg.startsWith('--protocol='));
+    const policyArg = args.find(arg => POLICIES.includes(arg.slice(2)) || arg.slice(2) in ALLOWANCE_POLICY_ALIASES);
+    if (chainArgs.length + (protocolArg ? 1 : 0) !== 1 || args.length > 2 || (args.length === 2 && !policyArg)) {
+        console.error(`❌ Usage: node approve_tokens.js <${CHAINS.map(c => `--${c}`).join(' | ')} | --all | --protocol=<${BUILT_IN_PROTOCOLS.join('|')}>> [${POLICIES.map(p => `--${p}`).join(' | ')}]`);
+        console.error("Example: node approve_tokens.js --arbitrum --capped");
+        console.error("Example: node approve_tokens.js --protocol=dexsport --balance");
         process.exit(1);
     }
 
-    const networkArg = args[0].toLowerCase();
+    const policy = policyArg ? resolvePolicy(policyArg.slice(2)) : allowanceManager.policy;
 
-    let rpcUrl, defaultToken, targetSpender;
-    if (networkArg === '--bsc') {
-        rpcUrl = process.env.BSC_RPC_URL || "https://bsc-dataseed.binance.org/";
-        defaultToken = "0x55d398326f99059fF775485246999027B3197955"; // BSC USDT
-        targetSpender = process.env.DEXSPORT_POOL_CONTRACT || "0x393c06fb9134a6df6158c5f5904d962086e33814";
-    } else if (networkArg === '--polygon') {
-        rpcUrl = process.env.POLYGON_RPC_URL || "https://polygon-rpc.com";
-        defaultToken = "0xc2132d05d31c914a87c6611c10748aeb04b58e8f"; // Polygon USDT
-        targetSpender = process.env.AZURO_LP_CONTRACT || "0x204e7371Ade792c5C006fb52711c50a7efC843ed";
-    } else {
-        console.error("❌ Invalid network argument. Use --bsc or --polygon");
+    if (!signerPool.address) {
+        console.error("❌ Missing PRIVATE_KEY in .env file");
         process.exit(1);
     }
-
-    const tokenAddress = process.env.TOKEN_ADDRESS || defaultToken;
-
-    if (!privateKey || !rpcUrl) {
-        console.error("❌ Missing PRIVATE_KEY or RPC URL in .env file");
-        process.exit(1);
+    if (allowanceManager.dryRun) {
+        console.warn("⚠️  DRY_RUN=true: allowances are only checked, no approval is sent.");
     }
 
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-
-    try {
-        const symbol = await tokenContract.symbol();
-        const decimals = await tokenContract.decimals();
-        const amountToApprove = ethers.parseUnits("1000000", decimals); // Approve 1M tokens
+    let targets;
+    if (protocolArg) {
+        try {
+            targets = allowanceManager.targets([fetcherRegistry.create(protocolArg.slice('--protocol='.length))]);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    } else {
+        const chains = chainArgs[0] === '--all' ? CHAINS : [chainArgs[0].slice(2)];
+        targets = allowanceManager.targets().filter(t => chains.includes(t.chain));
+        if (targets.length === 0) {
+            console.error(`❌ No enabled protocol on ${chains.join(', ')}. Check PROTOCOLS in .env, or use --protocol=<name>`);
+            process.exit(1);
+        }
+    }
 
-        console.log(`\nWallet: ${wallet.address}`);
-        console.log(`Approving ${symbol} (${tokenAddress}) on ${networkArg === '--bsc' ? 'BSC' : 'Polygon'}`);
+    console.log(`\nWallet: ${signerPool.address}`);
+    console.log(`Policy: ${policy}${policy === ALLOWANCE_POLICIES.CAPPED ? ` ($${allowanceManager.capUsd})` : ''} | refill below $${allowanceManager.minUsd}`);
 
-        console.log(`\nChecking allowance for Spender Contract (${targetSpender})...`);
-        const currentAllowance = await tokenContract.allowance(wallet.address, targetSpender);
+    let failed = 0;
+    for (const target of targets) {
+        console.log(`\nChecking ${target.stablecoin.symbol} (${target.stablecoin.address}) on ${target.chain} for ${target.protocols.join(', ')} (${target.spender})...`);
+        const report = await allowanceManager.ensure(target, policy);
 
-        if (currentAllowance >= amountToApprove / 2n) {
-            console.log(`✅ Spender already has sufficient allowance.`);
+        if (report.status === 'approved') {
+            console.log(`✅ Approved successfully! Allowance: ${report.allowance}`);
+        } else if (report.status === 'ok') {
+            console.log(`✅ Spender already has sufficient allowance (${report.allowance}).`);
+        } else if (report.status === 'low') {
+            console.log(`⚠️  Allowance still low: ${report.allowance}`);
         } else {
-            console.log(`⏳ Sending approval transaction...`);
-            const tx = await tokenContract.approve(targetSpender, amountToApprove);
-            await tx.wait();
-            console.log(`✅ Approved successfully! TX: ${tx.hash}`);
+            console.error("❌ Error during approval:", report.error);
+            failed++;
         }
-
-    } catch (error) {
-        console.error("❌ Error during approval:", error.message);
     }
+
+    process.exit(failed > 0 ? 1 : 0);
 }
 
 approveTokens();
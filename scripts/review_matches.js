@@ -0,0 +1,76 @@
+require('dotenv').config();
+const matchReviewStore = require('../src/storage/MatchReviewStore');
+const { REVIEW_DECISIONS } = require('../src/storage/MatchReviewStore');
+const teamMatchStore = require('../src/storage/TeamMatchStore');
+
+const USAGE = [
+    "❌ Usage: node review_matches.js <list | approve <id> | reject <id> | alias <id>>",
+    "   list           Pairs waiting for a decision",
+    "   approve <id>   Same event: trade this fixture on the next cycles",
+    "   reject <id>    Different events: never pair this fixture again",
+    "   alias  <id>    Same teams: persist both team names as aliases (every future fixture matches)"
+];
+
+function formatTime(unixSeconds) {
+    return unixSeconds ? new Date(Number(unixSeconds) * 1000).toISOString().replace('T', ' ').slice(0, 16) : '?';
+}
+
+function listPending() {
+    const pending = matchReviewStore.getPending();
+    if (pending.length === 0) {
+        console.log("✅ No pair waiting for review.");
+        return;
+    }
+
+    console.log(`⏸️  ${pending.length} pair(s) waiting for review:\n`);
+    for (const review of pending) {
+        console.log(`[${review.reviewId}] ${review.sport} · score ${review.score.toFixed(2)}${review.isSwapped ? ' · home/away swapped' : ''}`);
+        console.log(`   ${(review.protocolA || 'reference').padEnd(9)} ${review.nameA}  (${formatTime(review.startTimeA)} UTC)`);
+        console.log(`   ${(review.protocolB || 'target').padEnd(9)} ${review.nameB}  (${formatTime(review.startTimeB)} UTC)`);
+        if (review.teamPairs) {
+            console.log(`   teams     ${review.teamPairs.map(([a, b]) => `"${a}" ↔ "${b}"`).join(' | ')}`);
+        }
+        console.log('');
+    }
+}
+
+function reviewMatches() {
+    console.log("=========================================");
+    console.log("🔎 Match Review Script 🔎");
+    console.log("=========================================");
+
+    const [command, reviewId] = process.argv.slice(2);
+
+    if (command === 'list' || !command) {
+        listPending();
+        return;
+    }
+
+    const decisions = { approve: REVIEW_DECISIONS.APPROVED, reject: REVIEW_DECISIONS.REJECTED, alias: REVIEW_DECISIONS.ALIASED };
+    const decision = decisions[command];
+    if (!decision || !reviewId) {
+        USAGE.forEach(line => console.error(line));
+        process.exit(1);
+    }
+
+    const review = matchReviewStore.get(reviewId);
+    if (!review) {
+        console.error(`❌ Unknown review id ${reviewId}. Run "node review_matches.js list".`);
+        process.exit(1);
+    }
+
+    if (decision === REVIEW_DECISIONS.ALIASED) {
+        if (!review.teamPairs) {
+            console.error("❌ These names could not be split into two teams: use approve instead.");
+            process.exit(1);
+        }
+        for (const [referenceTeam, targetTeam] of review.teamPairs) {
+            teamMatchStore.confirmTeam(review.sport, targetTeam, referenceTeam, 'operator');
+        }
+    }
+
+    matchReviewStore.decide(reviewId, decision);
+    console.log(`✅ "${review.nameA}" ↔ "${review.nameB}" ${decision}. Applied from the next discovery cycle.`);
+}
+
+reviewMatches();
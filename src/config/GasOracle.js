@@ -1,77 +1,242 @@
 const { ethers } = require('ethers');
 const { logger } = require('../engine/ArbitrageEngine');
+const providerManager = require('./ProviderManager');
+const { ChainlinkPriceSource, UniswapV3TwapPriceSource, StaticPriceSource } = require('./priceSources');
 
+/**
+ * Native token and price feeds per chain.
+ *   priceFeed      - Chainlink <native>/USD aggregator (default price source)
+ *   wrappedNative  - wrapped native token, used by the TWAP price source
+ *   fallbackGasUsd - cost of one bet when nothing can be read
+ */
+const CHAIN_GAS = {
+    polygon: {
+        nativeSymbol: 'POL',
+        priceFeed: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', // MATIC/USD
+        wrappedNative: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+        fallbackGasUsd: 0.1
+    },
+    arbitrum: {
+        nativeSymbol: 'ETH',
+        priceFeed: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', // ETH/USD
+        wrappedNative: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+        fallbackGasUsd: 0.10,
+        isArbitrumL2: true
+    },
+    bsc: {
+        nativeSymbol: 'BNB',
+        priceFeed: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE', // BNB/USD
+        wrappedNative: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+        fallbackGasUsd: 0.5
+    }
+};
+
+/**
+ * Gas limit and typical calldata size (bytes, for L1 data fees) per on-chain action.
+ * Limits can be overridden with GAS_LIMIT_<ACTION> (e.g. GAS_LIMIT_PUTQUOTE=400000).
+ */
+const ACTION_GAS = {
+    approve: { gasLimit: 60000, calldataBytes: 68 },
+    putQuote: { gasLimit: 350000, calldataBytes: 292 },      // Azuro bet
+    buyFromAmm: { gasLimit: 450000, calldataBytes: 164 },    // Overtime bet
+    placeBet: { gasLimit: 250000, calldataBytes: 132 },      // Dexsport bet
+    claim: { gasLimit: 150000, calldataBytes: 100 },         // withdrawPayouts / exerciseOptions / pool claim
+    bet: { gasLimit: 300000, calldataBytes: 200 }            // Unknown bet action
+};
+
+// Arbitrum precompiles: L1 data component of a transaction
+const ARB_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+const ARB_GAS_INFO = '0x000000000000000000000000000000000000006C';
+const ARB_NODE_INTERFACE_ABI = [
+    "function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)"
+];
+const ARB_GAS_INFO_ABI = [
+    "function getPricesInWei() view returns (uint256 perL2Tx, uint256 perL1CalldataByte, uint256 perStorageAllocation, uint256 perArbGasBase, uint256 perArbGasCongestion, uint256 perArbGasTotal)"
+];
+
+/**
+ * Gas Oracle
+ * Estimates the USD cost of an on-chain action on any supported chain:
+ *   (gas limit of the action x gas price + L1 data fee on Arbitrum) x native token USD price.
+ * The native price comes from a pluggable source per chain, NATIVE_PRICE_SOURCE_<CHAIN> (.env):
+ *   chainlink (default) - on-chain Chainlink feed (NATIVE_PRICE_FEED_<CHAIN> overrides the address)
+ *   twap                - Uniswap V3 style pool TWAP (NATIVE_TWAP_POOL_<CHAIN>)
+ * NATIVE_PRICE_USD_<CHAIN> sets a fixed price used when the source fails and no price is cached yet.
+ */
 class GasOracle {
-    /**
-     * @param {string} bscRpcUrl 
-     * @param {string} polygonRpcUrl 
-     */
-    constructor(bscRpcUrl, polygonRpcUrl) {
-        this.bscProvider = new ethers.JsonRpcProvider(bscRpcUrl);
-        this.polygonProvider = new ethers.JsonRpcProvider(polygonRpcUrl);
-
-        // Caching
-        this.lastBscGasUsd = 0.5;
-        this.lastPolygonGasUsd = 0.1;
-        this.lastUpdate = 0;
+    constructor() {
+        this.priceSources = {}; // chain -> native price source, created on first use
+
+        // Caching, per chain
+        this.gasPrices = {};    // chain -> { gasPrice: bigint, ts }
+        this.nativePrices = {}; // chain -> { usd, ts }
+        this.l1Prices = {};     // chain -> { perL1CalldataByte: bigint, ts } (Arbitrum)
         this.CACHE_DURATION_MS = 15000; // Update max every 15s
+        this.PRICE_CACHE_DURATION_MS = 60000;
     }
 
     /**
      * Estimates the fiat (USD) cost of a transaction on a given chain.
-     * @param {string} chain 'bsc' or 'polygon'
-     * @param {number} estimatedGasLimit (ex: 200000 for a complex swap/bet)
+     * @param {string} chain 'polygon', 'arbitrum', 'bsc'
+     * @param {string} [action='bet'] - Key of ACTION_GAS (putQuote, buyFromAmm, approve, claim...)
+     * @param {{ to: string, data: string }} [tx] - Exact transaction, for an exact L1 data fee on Arbitrum
+     * @param {number} [estimatedGas] - eth_estimateGas result for `tx`, used instead of the action's gas limit
+     *   (on Arbitrum it already includes the L1 data component)
      * @returns {Promise<number>} Gas cost in USD
      */
-    async getGasCostInUsd(chain, estimatedGasLimit = 300000) {
-        const now = Date.now();
+    async getGasCostInUsd(chain, action = 'bet', tx = null, estimatedGas = null) {
+        const config = CHAIN_GAS[chain];
+        if (!config) {
+            logger.warn(`[GasOracle] Unknown chain ${chain}. Gas cost counted as $0.`);
+            return 0;
+        }
+
+        const gasLimit = estimatedGas || this.getGasLimit(action);
+        const addL1Cost = config.isArbitrumL2 && !estimatedGas;
+
+        try {
+            const [gasPrice, nativeUsd, l1CostWei] = await Promise.all([
+                this._getGasPrice(chain),
+                this.getNativePriceUsd(chain),
+                addL1Cost ? this._getArbitrumL1Cost(chain, action, tx) : 0n
+            ]);
+
+            const costNative = parseFloat(ethers.formatEther(gasPrice * BigInt(gasLimit) + l1CostWei));
+            return costNative * nativeUsd;
+        } catch (error) {
+            logger.error(`[GasOracle] Failed to update ${chain} gas: ${error.message}. Using fallback value.`);
+            return config.fallbackGasUsd;
+        }
+    }
 
-        if (now - this.lastUpdate < this.CACHE_DURATION_MS) {
-            return chain === 'bsc' ? this.lastBscGasUsd : this.lastPolygonGasUsd;
+    /**
+     * USD cost of an exact transaction, its gas measured with eth_estimateGas from `from`.
+     * Calls that cannot be simulated yet (allowance still to approve, market not resolved...)
+     * revert on estimation and are priced with the action's default gas limit instead.
+     * @param {string} chain
+     * @param {string} action - Key of ACTION_GAS, for the fallback gas limit
+     * @param {{ to: string, data: string, value?: bigint }} tx
+     * @param {string} from - Sender address
+     * @returns {Promise<{ usd: number, gasLimit: number, estimated: boolean }>}
+     */
+    async estimateTxCostInUsd(chain, action, tx, from) {
+        let estimatedGas = null;
+        if (CHAIN_GAS[chain]) {
+            try {
+                estimatedGas = Number(await this._getProvider(chain).estimateGas({ ...tx, from }));
+            } catch (error) {
+                logger.debug(`[GasOracle] estimateGas of ${action} on ${chain} reverted (${error.shortMessage || error.message}). Using the default gas limit.`);
+            }
         }
 
+        const usd = await this.getGasCostInUsd(chain, action, tx, estimatedGas);
+        return { usd, gasLimit: estimatedGas || this.getGasLimit(action), estimated: estimatedGas !== null };
+    }
+
+    /**
+     * @param {string} action
+     * @returns {number} Gas limit of the action (GAS_LIMIT_<ACTION> override, else ACTION_GAS)
+     */
+    getGasLimit(action) {
+        const override = process.env[`GAS_LIMIT_${String(action).toUpperCase()}`];
+        if (override) return parseInt(override);
+        return (ACTION_GAS[action] || ACTION_GAS.bet).gasLimit;
+    }
+
+    /**
+     * USD price of the chain's native token (cached).
+     * @param {string} chain
+     * @returns {Promise<number>}
+     */
+    async getNativePriceUsd(chain) {
+        const cached = this.nativePrices[chain];
+        if (cached && Date.now() - cached.ts < this.PRICE_CACHE_DURATION_MS) return cached.usd;
+
         try {
-            await this._updateGasPrices(estimatedGasLimit);
-            return chain === 'bsc' ? this.lastBscGasUsd : this.lastPolygonGasUsd;
+            // Only a source that initialized is kept: a failed check is retried on the next call
+            if (!this.priceSources[chain]) this.priceSources[chain] = await this._createPriceSource(chain);
+            const source = this.priceSources[chain];
+
+            const usd = await source.getPrice(this._getProvider(chain));
+            this.nativePrices[chain] = { usd, ts: Date.now() };
+            logger.info(`[GasOracle] ${CHAIN_GAS[chain].nativeSymbol}/USD $${usd.toFixed(2)} (${source.name}, ${chain})`);
+            return usd;
         } catch (error) {
-            logger.error(`[GasOracle] Failed to update gas: ${error.message}. Using fallback values.`);
-            return chain === 'bsc' ? 0.5 : 0.1; // Fallbacks
+            // A stale price is better than none: keep the last known one
+            if (cached) {
+                logger.warn(`[GasOracle] ${chain} native price refresh failed (${error.message}). Keeping $${cached.usd.toFixed(2)}.`);
+                return cached.usd;
+            }
+
+            const fallback = this._createFallbackPriceSource(chain);
+            if (fallback) {
+                const usd = await fallback.getPrice();
+                logger.warn(`[GasOracle] ${chain} native price unavailable (${error.message}). Using the static $${usd.toFixed(2)}.`);
+                return usd;
+            }
+            throw error;
         }
     }
 
-    async _updateGasPrices(gasLimit) {
-        const [bscFeeData, polyFeeData] = await Promise.all([
-            this.bscProvider.getFeeData(),
-            this.polygonProvider.getFeeData()
-        ]);
+    async _getGasPrice(chain) {
+        const cached = this.gasPrices[chain];
+        if (cached && Date.now() - cached.ts < this.CACHE_DURATION_MS) return cached.gasPrice;
+
+        const feeData = await this._getProvider(chain).getFeeData();
+        const gasPrice = feeData.gasPrice || feeData.maxFeePerGas;
+        this.gasPrices[chain] = { gasPrice, ts: Date.now() };
+        return gasPrice;
+    }
+
+    /**
+     * L1 data fee (wei) paid by an Arbitrum transaction on top of its L2 execution gas.
+     * Exact through NodeInterface when the transaction is known, estimated from the
+     * action's typical calldata size and ArbGasInfo's L1 calldata price otherwise.
+     */
+    async _getArbitrumL1Cost(chain, action, tx) {
+        const provider = this._getProvider(chain);
+
+        if (tx && tx.to && tx.data) {
+            const nodeInterface = new ethers.Contract(ARB_NODE_INTERFACE, ARB_NODE_INTERFACE_ABI, provider);
+            const [gasEstimateForL1, baseFee] = await nodeInterface.gasEstimateL1Component.staticCall(tx.to, false, tx.data);
+            return gasEstimateForL1 * baseFee;
+        }
+
+        let cached = this.l1Prices[chain];
+        if (!cached || Date.now() - cached.ts >= this.CACHE_DURATION_MS) {
+            const arbGasInfo = new ethers.Contract(ARB_GAS_INFO, ARB_GAS_INFO_ABI, provider);
+            const prices = await arbGasInfo.getPricesInWei();
+            cached = { perL1CalldataByte: prices[1], ts: Date.now() };
+            this.l1Prices[chain] = cached;
+        }
 
-        const bscGasPrice = bscFeeData.gasPrice;
-        const polyGasPrice = polyFeeData.gasPrice;
+        const { calldataBytes } = ACTION_GAS[action] || ACTION_GAS.bet;
+        return cached.perL1CalldataByte * BigInt(calldataBytes);
+    }
 
-        // Cost in Native Token = gasPrice * gasLimit
-        // Ethers v6 uses native BigInt operations instead of .mul()
-        const bscCostNative = ethers.formatEther(bscGasPrice * BigInt(gasLimit));
-        const polyCostNative = ethers.formatEther(polyGasPrice * BigInt(gasLimit));
+    _getProvider(chain) {
+        return providerManager.getProvider(chain);
+    }
 
-        // For USD conversion, we need the price of BNB and MATIC (POL).
-        // Ideally fetch from an oracle (e.g. Chainlink or Binance API).
-        // For speed in this MVP we use approximate fixed values or a rapid API call.
-        const bnbPrice = await this._getMockTokenPrice('BNB');
-        const maticPrice = await this._getMockTokenPrice('MATIC');
+    async _createPriceSource(chain) {
+        const config = CHAIN_GAS[chain];
+        const key = chain.toUpperCase();
 
-        this.lastBscGasUsd = parseFloat(bscCostNative) * bnbPrice;
-        this.lastPolygonGasUsd = parseFloat(polyCostNative) * maticPrice;
-        this.lastUpdate = Date.now();
+        if ((process.env[`NATIVE_PRICE_SOURCE_${key}`] || 'chainlink') === 'twap') {
+            const pool = process.env[`NATIVE_TWAP_POOL_${key}`];
+            if (pool) return new UniswapV3TwapPriceSource(pool, config.wrappedNative).init(this._getProvider(chain));
+            logger.warn(`[GasOracle] NATIVE_TWAP_POOL_${key} missing. Falling back to Chainlink for ${chain}.`);
+        }
 
-        logger.info(`[GasOracle] Updated Live Gas: BSC ~$${this.lastBscGasUsd.toFixed(3)}, Polygon ~$${this.lastPolygonGasUsd.toFixed(3)}`);
+        return new ChainlinkPriceSource(process.env[`NATIVE_PRICE_FEED_${key}`] || config.priceFeed);
     }
 
-    // Replace this with a fast Binance or Coingecko API call in production
-    async _getMockTokenPrice(symbol) {
-        if (symbol === 'BNB') return 380; // Example
-        if (symbol === 'MATIC') return 1.05; // Example
-        return 1;
+    _createFallbackPriceSource(chain) {
+        const price = parseFloat(process.env[`NATIVE_PRICE_USD_${chain.toUpperCase()}`]);
+        return price > 0 ? new StaticPriceSource(price) : null;
     }
 }
 
 module.exports = GasOracle;
+module.exports.CHAIN_GAS = CHAIN_GAS;
+module.exports.ACTION_GAS = ACTION_GAS;
@@ -0,0 +1,288 @@
+const { ethers } = require('ethers');
+const { logger } = require('../engine/ArbitrageEngine');
+const { CHAIN_RPC, getRpcEndpoints } = require('./chains');
+
+/**
+ * One transport (HTTP or WS) of one chain: an ordered list of endpoints, one of them active.
+ * Consumers hold a stable proxy that forwards to the active ethers provider, so reconnects
+ * and failovers are invisible to them. Listeners registered through the proxy (`on` / `off`)
+ * are tracked and registered again on every new provider (or on the first one, when no endpoint
+ * answered yet). A replaced provider is only destroyed once the calls started through it settled,
+ * or after PROVIDER_DRAIN_MS.
+ */
+class ManagedConnection {
+    constructor(chain, transport, urls, settings) {
+        this.chain = chain;
+        this.transport = transport;
+        this.urls = urls;
+        this.settings = settings;
+
+        this.index = 0;
+        this.provider = null;           // Active ethers provider
+        this.socket = null;             // Active WebSocket (ws transport)
+        this.subscriptions = new Map(); // listener -> filter, replayed after every reconnect
+        this.inflight = new Map();      // provider -> calls started through the proxy and not settled yet
+        this.retired = new Map();       // replaced provider -> destroy(), called once drained
+        this.attempt = 0;               // Consecutive failures, drives the backoff
+        this.reconnectTimer = null;
+        this.lastBlock = null;          // { number, ts } latest block seen by the heartbeat
+
+        this.proxy = this._createProxy();
+        try {
+            this._connect(0);
+        } catch (error) {
+            this._failover(`connection failed: ${error.message}`);
+        }
+
+        this.heartbeatTimer = setInterval(() => {
+            this._heartbeat().catch(error => logger.error(`[Provider Manager] ${this.label} heartbeat error: ${error.message}`));
+        }, settings.heartbeatMs);
+        this.heartbeatTimer.unref();
+    }
+
+    get label() {
+        return `${this.chain} ${this.transport.toUpperCase()} (${endpointHost(this.urls[this.index])})`;
+    }
+
+    subscribe(filter, listener) {
+        this.subscriptions.set(listener, filter);
+        // Without a provider the subscription is registered by the first successful connection
+        return this.provider ? this.provider.on(filter, listener) : Promise.resolve(this.proxy);
+    }
+
+    unsubscribe(filter, listener) {
+        this.subscriptions.delete(listener);
+        return this.provider ? this.provider.off(filter, listener) : Promise.resolve(this.proxy);
+    }
+
+    _createProxy() {
+        const connection = this;
+        return new Proxy({}, {
+            get(target, prop) {
+                if (prop === 'on' || prop === 'addListener') return (filter, listener) => connection.subscribe(filter, listener);
+                if (prop === 'off' || prop === 'removeListener') return (filter, listener) => connection.unsubscribe(filter, listener);
+
+                const provider = connection.provider;
+                if (!provider) {
+                    // Not a thenable: `await` on the proxy must not throw
+                    if (prop === 'then' || typeof prop === 'symbol') return undefined;
+                    throw new Error(`No healthy ${connection.transport.toUpperCase()} endpoint for ${connection.chain} (reconnecting)`);
+                }
+
+                const value = provider[prop];
+                if (typeof value !== 'function') return value;
+                return (...args) => connection._call(provider, value, args);
+            }
+        });
+    }
+
+    /**
+     * Calls a provider method, counting it as in flight until its promise settles.
+     */
+    _call(provider, method, args) {
+        const result = method.apply(provider, args);
+        if (!result || typeof result.then !== 'function') return result;
+
+        this.inflight.set(provider, (this.inflight.get(provider) || 0) + 1);
+        const settle = () => {
+            const count = this.inflight.get(provider) - 1;
+            if (count > 0) {
+                this.inflight.set(provider, count);
+                return;
+            }
+            this.inflight.delete(provider);
+            if (this.retired.has(provider)) this.retired.get(provider)();
+        };
+        result.then(settle, settle);
+        return result;
+    }
+
+    /**
+     * Stops the listeners of a replaced provider at once, and destroys it once its pending calls
+     * settled (at the latest after PROVIDER_DRAIN_MS).
+     */
+    _retire(provider) {
+        Promise.resolve().then(() => provider.removeAllListeners()).catch(() => { /* Already closed */ });
+
+        let timer = null;
+        const destroy = () => {
+            clearTimeout(timer);
+            this.retired.delete(provider);
+            this.inflight.delete(provider);
+            Promise.resolve().then(() => provider.destroy()).catch(() => { /* Already closed */ });
+        };
+
+        if (!this.inflight.has(provider)) {
+            destroy();
+            return;
+        }
+        this.retired.set(provider, destroy);
+        timer = setTimeout(destroy, this.settings.drainMs);
+        timer.unref();
+    }
+
+    _connect(index) {
+        const previous = this.provider;
+        this.index = index % this.urls.length;
+        const url = this.urls[this.index];
+        const network = ethers.Network.from(CHAIN_RPC[this.chain].chainId);
+
+        if (this.transport === 'ws') {
+            this.provider = new ethers.WebSocketProvider(url, network);
+            const socket = this.provider.websocket;
+            // An unhandled socket error would crash the process
+            socket.on('error', (error) => logger.warn(`[Provider Manager] ${this.label} socket error: ${error.message}`));
+            // Only the active socket triggers a failover (replaced sockets are closed on purpose)
+            socket.on('close', () => {
+                if (socket === this.socket) this._failover('socket closed');
+            });
+            this.socket = socket;
+        } else {
+            this.provider = new ethers.JsonRpcProvider(url, network, { staticNetwork: network });
+        }
+
+        for (const [listener, filter] of this.subscriptions) {
+            this.provider.on(filter, listener).catch(error => logger.warn(`[Provider Manager] ${this.label} re-subscription failed: ${error.message}`));
+        }
+        this.lastBlock = null;
+
+        if (previous) {
+            this._retire(previous);
+            logger.info(`[Provider Manager] 🔌 ${this.label} active${this.subscriptions.size ? ` (${this.subscriptions.size} subscription(s) restored)` : ''}.`);
+        }
+    }
+
+    /**
+     * Switches to the next endpoint: immediately on the first failure, then with an
+     * exponential backoff while every endpoint keeps failing.
+     */
+    _failover(reason) {
+        if (this.reconnectTimer) return;
+
+        const { backoffBaseMs, backoffMaxMs } = this.settings;
+        const delay = this.attempt === 0 ? 0 : Math.min(backoffBaseMs * 2 ** (this.attempt - 1), backoffMaxMs);
+        this.attempt++;
+
+        const next = (this.index + 1) % this.urls.length;
+        logger.warn(`[Provider Manager] ⚠️ ${this.label} ${reason}. Switching to ${endpointHost(this.urls[next])} in ${delay / 1000}s (attempt ${this.attempt}).`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            try {
+                this._connect(next);
+            } catch (error) {
+                this._failover(`connection failed: ${error.message}`);
+            }
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+
+    /**
+     * Health check: the endpoint must answer eth_blockNumber in time and its head must keep moving.
+     */
+    async _heartbeat() {
+        if (this.reconnectTimer) return;
+
+        const provider = this.provider;
+        try {
+            const number = await withTimeout(provider.getBlockNumber(), this.settings.heartbeatTimeoutMs);
+            if (provider !== this.provider) return;
+
+            if (!this.lastBlock || number > this.lastBlock.number) {
+                this.lastBlock = { number, ts: Date.now() };
+                this.attempt = 0;
+            } else if (Date.now() - this.lastBlock.ts > this.settings.stallMs) {
+                this._failover(`stalled at block ${number}`);
+            }
+        } catch (error) {
+            if (provider === this.provider) this._failover(`heartbeat failed (${error.shortMessage || error.message})`);
+        }
+    }
+}
+
+/**
+ * Provider Manager
+ * Single source of RPC providers for the whole bot: fetchers, GasOracle, ExecutionEngine,
+ * ClaimEngine and BankrollManager all share one HTTP and one WebSocket connection per chain.
+ * Each connection walks the chain's endpoint list (see getRpcEndpoints): heartbeat and stall
+ * detection, reconnect with exponential backoff, failover to the next endpoint and
+ * re-subscription of the active filters.
+ */
+class ProviderManager {
+    constructor() {
+        this.connections = new Map(); // `${chain}:${transport}` -> ManagedConnection | null
+        this.settings = {
+            heartbeatMs: parseInt(process.env.PROVIDER_HEARTBEAT_MS || "15000"),
+            heartbeatTimeoutMs: parseInt(process.env.PROVIDER_HEARTBEAT_TIMEOUT_MS || "8000"),
+            stallMs: parseInt(process.env.PROVIDER_STALL_MS || "60000"),
+            backoffBaseMs: parseInt(process.env.PROVIDER_BACKOFF_BASE_MS || "1000"),
+            backoffMaxMs: parseInt(process.env.PROVIDER_BACKOFF_MAX_MS || "60000"),
+            drainMs: parseInt(process.env.PROVIDER_DRAIN_MS || "30000")
+        };
+    }
+
+    /**
+     * @param {string} chain
+     * @returns {ethers.Provider|null} HTTP provider of the chain (public fallback included), null for unknown chains
+     */
+    getProvider(chain) {
+        return this._get(chain, 'http');
+    }
+
+    /**
+     * @param {string} chain
+     * @returns {ethers.Provider|null} WebSocket provider of the chain, null when no WS endpoint is configured
+     */
+    getWsProvider(chain) {
+        return this._get(chain, 'ws');
+    }
+
+    /**
+     * @param {string[]} chains
+     * @returns {Object<string, ethers.Provider>} chain -> HTTP provider
+     */
+    getProviders(chains) {
+        const providers = {};
+        for (const chain of chains) providers[chain] = this.getProvider(chain);
+        return providers;
+    }
+
+    /**
+     * @returns {boolean} true when the chain has at least one endpoint set in .env (public fallback excluded)
+     */
+    hasConfiguredRpc(chain) {
+        const { http, ws } = getRpcEndpoints(chain, { fallback: false });
+        return http.length > 0 || ws.length > 0;
+    }
+
+    _get(chain, transport) {
+        const key = `${chain}:${transport}`;
+        if (!this.connections.has(key)) {
+            const urls = getRpcEndpoints(chain)[transport];
+            this.connections.set(key, urls.length > 0 ? new ManagedConnection(chain, transport, urls, this.settings) : null);
+        }
+        const connection = this.connections.get(key);
+        return connection ? connection.proxy : null;
+    }
+}
+
+/**
+ * Host of an endpoint, for logs (paths and query strings often carry API keys).
+ */
+function endpointHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return 'invalid url';
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = new ProviderManager();
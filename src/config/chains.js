@@ -0,0 +1,52 @@
+/**
+ * Static routing table: which chain each bookie settles on.
+ * Shared by the engines so a leg can always be traced back to its network.
+ */
+const BOOKIE_CHAINS = {
+    azuro: 'polygon',
+    overtime: 'arbitrum',
+    dexsport: 'bsc'
+};
+
+// RPC endpoints per chain: primary .env variables, optional comma-separated backup lists
+// (<CHAIN>_RPC_URLS / <CHAIN>_WS_URLS) and a public HTTP fallback
+const CHAIN_RPC = {
+    polygon: { chainId: 137, env: 'POLYGON_RPC_URL', wsEnv: 'POLYGON_WS_URL', fallback: 'https://polygon-rpc.com' },
+    arbitrum: { chainId: 42161, env: 'ARBITRUM_RPC_URL', wsEnv: 'ARBITRUM_WS_URL', fallback: 'https://arb1.arbitrum.io/rpc' },
+    bsc: { chainId: 56, env: 'BSC_RPC_URL', wsEnv: 'BSC_WS_URL', fallback: 'https://bsc-dataseed.binance.org' }
+};
+
+// Example endpoints shipped in .env.example, never usable as-is
+const PLACEHOLDER_MARKERS = ['YOUR_', 'nodedent.com'];
+
+/**
+ * Every configured endpoint of a chain, in failover order, split by transport.
+ * @param {string} chain
+ * @param {{ fallback?: boolean }} [options] - fallback=false leaves the public HTTP fallback out
+ * @returns {{ http: string[], ws: string[] }}
+ */
+function getRpcEndpoints(chain, { fallback = true } = {}) {
+    const config = CHAIN_RPC[chain];
+    if (!config) return { http: [], ws: [] };
+
+    const key = chain.toUpperCase();
+    const urls = [
+        process.env[config.env],
+        ...splitUrls(process.env[`${key}_RPC_URLS`]),
+        process.env[config.wsEnv],
+        ...splitUrls(process.env[`${key}_WS_URLS`]),
+        fallback ? config.fallback : null
+    ].filter(url => url && !PLACEHOLDER_MARKERS.some(marker => url.includes(marker)));
+
+    const unique = [...new Set(urls)];
+    return {
+        http: unique.filter(url => !url.startsWith('ws')),
+        ws: unique.filter(url => url.startsWith('ws'))
+    };
+}
+
+function splitUrls(list) {
+    return (list || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+module.exports = { BOOKIE_CHAINS, CHAIN_RPC, getRpcEndpoints };
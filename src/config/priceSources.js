@@ -0,0 +1,125 @@
+const { ethers } = require('ethers');
+
+/**
+ * Native token USD price sources used by the GasOracle.
+ * Every source exposes `async getPrice(provider)` -> USD price of one native token.
+ */
+
+const CHAINLINK_AGGREGATOR_ABI = [
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function decimals() view returns (uint8)"
+];
+
+const UNISWAP_V3_POOL_ABI = [
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+    "function token0() view returns (address)",
+    "function token1() view returns (address)"
+];
+
+const ERC20_DECIMALS_ABI = [
+    "function decimals() view returns (uint8)"
+];
+
+/**
+ * Chainlink price feed read on-chain (e.g. MATIC/USD, ETH/USD, BNB/USD).
+ * Rejects answers older than `maxAgeSeconds` so a stalled feed never prices gas.
+ */
+class ChainlinkPriceSource {
+    /**
+     * @param {string} feedAddress - AggregatorV3 proxy
+     * @param {{ maxAgeSeconds?: number }} [options]
+     */
+    constructor(feedAddress, { maxAgeSeconds = 3 * 3600 } = {}) {
+        this.name = 'chainlink';
+        this.feedAddress = feedAddress;
+        this.maxAgeSeconds = maxAgeSeconds;
+        this.decimals = null;
+    }
+
+    async getPrice(provider) {
+        const feed = new ethers.Contract(this.feedAddress, CHAINLINK_AGGREGATOR_ABI, provider);
+        if (this.decimals === null) this.decimals = Number(await feed.decimals());
+
+        const [, answer, , updatedAt] = await feed.latestRoundData();
+        const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+        if (answer <= 0n) throw new Error(`Chainlink feed ${this.feedAddress} returned a non-positive answer`);
+        if (age > this.maxAgeSeconds) throw new Error(`Chainlink feed ${this.feedAddress} is stale (${age}s old)`);
+
+        return parseFloat(ethers.formatUnits(answer, this.decimals));
+    }
+}
+
+/**
+ * Time-weighted average price of the wrapped native token in a Uniswap V3 style pool
+ * (Uniswap, PancakeSwap V3...) quoted against a USD stablecoin.
+ * `init` must resolve before the first price: it rejects a pool that does not hold the native token.
+ */
+class UniswapV3TwapPriceSource {
+    /**
+     * @param {string} poolAddress - Native / USD stablecoin pool
+     * @param {string} nativeToken - Wrapped native token address (WPOL, WETH, WBNB...)
+     * @param {{ windowSeconds?: number }} [options]
+     */
+    constructor(poolAddress, nativeToken, { windowSeconds = 1800 } = {}) {
+        if (!ethers.isAddress(poolAddress)) throw new Error(`TWAP pool ${poolAddress} is not an address`);
+        if (!ethers.isAddress(nativeToken)) throw new Error(`TWAP native token ${nativeToken} is not an address`);
+
+        this.name = 'twap';
+        this.poolAddress = poolAddress;
+        this.nativeToken = nativeToken.toLowerCase();
+        this.windowSeconds = windowSeconds;
+        this.poolInfo = null; // { nativeIsToken0, decimals0, decimals1 }
+    }
+
+    /**
+     * Reads the pool's tokens and decimals. Throws when the native token is neither token0 nor
+     * token1: the TWAP would price another pair.
+     */
+    async init(provider) {
+        const pool = new ethers.Contract(this.poolAddress, UNISWAP_V3_POOL_ABI, provider);
+        const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+        const native = [token0, token1].map(token => token.toLowerCase()).indexOf(this.nativeToken);
+        if (native === -1) {
+            throw new Error(`TWAP pool ${this.poolAddress} does not hold the native token ${this.nativeToken} (token0 ${token0}, token1 ${token1})`);
+        }
+
+        const [decimals0, decimals1] = await Promise.all([token0, token1].map(token =>
+            new ethers.Contract(token, ERC20_DECIMALS_ABI, provider).decimals()));
+        this.poolInfo = {
+            nativeIsToken0: native === 0,
+            decimals0: Number(decimals0),
+            decimals1: Number(decimals1)
+        };
+        return this;
+    }
+
+    async getPrice(provider) {
+        if (!this.poolInfo) throw new Error(`TWAP pool ${this.poolAddress} not initialized`);
+        const pool = new ethers.Contract(this.poolAddress, UNISWAP_V3_POOL_ABI, provider);
+
+        const [tickCumulatives] = await pool.observe([this.windowSeconds, 0]);
+        const averageTick = Number(tickCumulatives[1] - tickCumulatives[0]) / this.windowSeconds;
+
+        // 1.0001^tick = token1 per token0 in raw units
+        const { nativeIsToken0, decimals0, decimals1 } = this.poolInfo;
+        const token1PerToken0 = Math.pow(1.0001, averageTick) * Math.pow(10, decimals0 - decimals1);
+        return nativeIsToken0 ? token1PerToken0 : 1 / token1PerToken0;
+    }
+}
+
+/**
+ * Fixed price (NATIVE_PRICE_USD_<CHAIN>), used as the last resort when the on-chain source
+ * cannot be read and no earlier price is cached.
+ */
+class StaticPriceSource {
+    constructor(price) {
+        this.name = 'static';
+        this.price = price;
+    }
+
+    async getPrice() {
+        return this.price;
+    }
+}
+
+module.exports = { ChainlinkPriceSource, UniswapV3TwapPriceSource, StaticPriceSource };
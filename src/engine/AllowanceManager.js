@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+const { logger } = require('./ArbitrageEngine');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+const providerManager = require('../config/ProviderManager');
+const signerPool = require('./SignerPool');
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+// How much a pre-approval grants, once the allowance is below ALLOWANCE_MIN_USD
+const ALLOWANCE_POLICIES = {
+    BALANCE: 'balance',     // The wallet's current token balance: never more than what could be staked
+    CAPPED: 'capped',       // ALLOWANCE_CAP_USD
+    UNLIMITED: 'unlimited'  // MaxUint256, approved once
+};
+
+// Former policy names, still accepted in ALLOWANCE_POLICY and --<policy>
+const ALLOWANCE_POLICY_ALIASES = {
+    exact: ALLOWANCE_POLICIES.BALANCE
+};
+
+/**
+ * @param {string} policy - Policy name or alias, any case
+ * @returns {string} The ALLOWANCE_POLICIES value it designates (unknown names are returned lowercased)
+ */
+function resolvePolicy(policy) {
+    const name = String(policy).toLowerCase();
+    return ALLOWANCE_POLICY_ALIASES[name] || name;
+}
+
+/**
+ * Allowance Manager
+ * Keeps the stablecoin allowance of every (chain, token, spender) used by the enabled protocols
+ * topped up ahead of time (at startup and every ALLOWANCE_CHECK_INTERVAL_MS), so broadcastLegs
+ * does not pay an approve confirmation inside the trade. Configured by:
+ *   ALLOWANCE_POLICY   - defaults to capped
+ *     balance    approves the wallet's current token balance (`exact` is accepted as an alias)
+ *     capped     approves ALLOWANCE_CAP_USD
+ *     unlimited  approves MaxUint256, once
+ *   ALLOWANCE_CAP_USD  - amount approved by the capped policy
+ *   ALLOWANCE_MIN_USD  - low-water mark: below it the allowance is refilled, or a warning is raised
+ * The last read allowance is cached per target and decremented by every stake sent.
+ */
+class AllowanceManager {
+    constructor() {
+        this.policy = resolvePolicy(process.env.ALLOWANCE_POLICY || ALLOWANCE_POLICIES.CAPPED);
+        this.capUsd = parseFloat(process.env.ALLOWANCE_CAP_USD || "1000");
+        this.minUsd = parseFloat(process.env.ALLOWANCE_MIN_USD || "100");
+        this.dryRun = process.env.DRY_RUN === 'true';
+
+        this.allowances = new Map(); // `${chain}:${token}:${spender}` -> allowance (wei), last known
+    }
+
+    /**
+     * Distinct (chain, token, spender) approvals the enabled protocols need.
+     * @param {object[]} [fetchers] - Protocols to cover (default: the enabled ones)
+     * @returns {object[]} { chain, protocols, stablecoin, spender }
+     */
+    targets(fetchers = fetcherRegistry.list()) {
+        const targets = new Map();
+        for (const fetcher of fetchers) {
+            const key = this._key(fetcher);
+            if (targets.has(key)) {
+                targets.get(key).protocols.push(fetcher.protocol);
+            } else {
+                targets.set(key, { chain: fetcher.chain, protocols: [fetcher.protocol], stablecoin: fetcher.stablecoin, spender: fetcher.spender });
+            }
+        }
+        return [...targets.values()];
+    }
+
+    /**
+     * Checks every target and refills the ones below ALLOWANCE_MIN_USD (never in DRY_RUN).
+     * @param {object} [options]
+     * @param {string[]} [options.chains] - Only these chains (default: every chain with an RPC configured)
+     * @param {string} [options.policy] - Overrides ALLOWANCE_POLICY
+     * @returns {Promise<object[]>} One report per target: { chain, protocols, allowance, status }
+     */
+    async ensureAll({ chains = null, policy = this.policy } = {}) {
+        policy = resolvePolicy(policy);
+        if (!Object.values(ALLOWANCE_POLICIES).includes(policy)) {
+            throw new Error(`Unknown ALLOWANCE_POLICY "${policy}" (${Object.values(ALLOWANCE_POLICIES).join(' | ')})`);
+        }
+
+        const targets = this.targets().filter(t => (chains ? chains.includes(t.chain) : providerManager.hasConfiguredRpc(t.chain)));
+        const reports = [];
+        // Sequential: approvals of a chain share the signer's nonce sequence and are easier to follow in the logs
+        for (const target of targets) {
+            reports.push(await this.ensure(target, policy));
+        }
+        return reports;
+    }
+
+    /**
+     * @param {object} target - From targets()
+     * @param {string} policy
+     * @returns {Promise<object>} { chain, protocols, allowance, status: 'ok' | 'approved' | 'low' | 'error' }
+     */
+    async ensure(target, policy = this.policy) {
+        const { chain, protocols, stablecoin, spender } = target;
+        const owner = signerPool.address || process.env.DRY_RUN_ADDRESS;
+        const label = `${chain} ${stablecoin.symbol} -> ${protocols.join('/').toUpperCase()}`;
+        const report = { chain, protocols, allowance: null, status: 'ok' };
+        if (!owner) return { ...report, status: 'error', error: 'No wallet address (PRIVATE_KEY / DRY_RUN_ADDRESS)' };
+
+        try {
+            const token = new ethers.Contract(stablecoin.address, ERC20_ABI, providerManager.getProvider(chain));
+            const minWei = ethers.parseUnits(this.minUsd.toFixed(6), stablecoin.decimals);
+
+            let allowance = await token.allowance(owner, spender);
+            this.allowances.set(this._key(target), allowance);
+
+            if (allowance < minWei && !this.dryRun && signerPool.address) {
+                const amount = await this._approvalAmount(policy, token, owner, stablecoin);
+                if (amount > allowance) {
+                    logger.info(`[Allowance] ⏳ ${label}: ${this._format(allowance, stablecoin)} below $${this.minUsd}. Approving ${this._format(amount, stablecoin)} (${policy})...`);
+                    const tx = await signerPool.sendTransaction(chain, {
+                        to: stablecoin.address,
+                        data: token.interface.encodeFunctionData('approve', [spender, amount])
+                    }, { label: 'approve' });
+                    const receipt = await tx.wait();
+                    allowance = amount;
+                    this.allowances.set(this._key(target), allowance);
+                    report.status = 'approved';
+                    logger.info(`[Allowance] ✅ ${label} approved. Hash: ${receipt.hash}`);
+                }
+            }
+
+            report.allowance = this._format(allowance, stablecoin);
+            if (allowance < minWei) {
+                report.status = 'low';
+                logger.warn(`[Allowance] ⚠️ ${label}: allowance ${report.allowance} below $${this.minUsd}. Bets on ${protocols.join(', ')} will need an inline approval.`);
+            } else if (report.status === 'ok') {
+                logger.info(`[Allowance] ${label}: ${report.allowance} ✅`);
+            }
+        } catch (error) {
+            report.status = 'error';
+            report.error = error.shortMessage || error.message;
+            logger.warn(`[Allowance] ${label} check failed: ${report.error}`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Last known allowance of a fetcher's spender, null when never read.
+     * @param {object} fetcher
+     * @returns {bigint|null}
+     */
+    getCachedAllowance(fetcher) {
+        const allowance = this.allowances.get(this._key(fetcher));
+        return allowance === undefined ? null : allowance;
+    }
+
+    /**
+     * Records what a stake sent to the spender used up from the cached allowance.
+     * @param {object} fetcher
+     * @param {bigint} amount
+     */
+    consume(fetcher, amount) {
+        const allowance = this.getCachedAllowance(fetcher);
+        if (allowance === null || allowance === ethers.MaxUint256) return;
+        this.allowances.set(this._key(fetcher), allowance > amount ? allowance - amount : 0n);
+    }
+
+    /**
+     * Overrides the cached allowance (e.g. after an inline approval).
+     */
+    setCachedAllowance(fetcher, amount) {
+        this.allowances.set(this._key(fetcher), amount);
+    }
+
+    async _approvalAmount(policy, token, owner, stablecoin) {
+        if (policy === ALLOWANCE_POLICIES.UNLIMITED) return ethers.MaxUint256;
+        if (policy === ALLOWANCE_POLICIES.BALANCE) return token.balanceOf(owner);
+        return ethers.parseUnits(this.capUsd.toFixed(6), stablecoin.decimals);
+    }
+
+    _format(amount, stablecoin) {
+        if (amount === ethers.MaxUint256) return 'unlimited';
+        return `$${parseFloat(ethers.formatUnits(amount, stablecoin.decimals)).toFixed(2)}`;
+    }
+
+    _key({ chain, stablecoin, spender }) {
+        return `${chain}:${stablecoin.address.toLowerCase()}:${spender.toLowerCase()}`;
+    }
+}
+
+module.exports = new AllowanceManager();
+module.exports.ALLOWANCE_POLICIES = ALLOWANCE_POLICIES;
+module.exports.ALLOWANCE_POLICY_ALIASES = ALLOWANCE_POLICY_ALIASES;
+module.exports.resolvePolicy = resolvePolicy;
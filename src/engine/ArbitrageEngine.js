@@ -12,78 +12,56 @@ const logger = pino({
 });
 
 /**
- * Evaluates the arbitrage opportunity between two odds,
- * taking into account network Gas Fees and protocol commissions.
- * 
+ * Evaluates the arbitrage opportunity of one event across any number of protocols:
+ * for every outcome the best effective odd (commission deducted) is picked among all protocols,
+ * then stakes are split for an equal payout and the gas of every leg is deducted (see totalGasCost).
+ * All odds arrays must be aligned (index i = same real-world outcome, see utils/outcomeMapping).
+ *
  * @param {string} matchId - Unique ID or Name for logging.
- * @param {number} oddsA - Decimal odds from Protocol A (e.g. Azuro)
- * @param {number} oddsB - Decimal odds from Protocol B (e.g. Dexsport)
- * @param {number} totalInvestment - The total amount in USD (or base stablecoin) to stake across both.
- * @param {number} gasFeeA - Expected transaction gas cost for Chain A in USD.
- * @param {number} gasFeeB - Expected transaction gas cost for Chain B in USD.
- * @param {number} commissionA - Protocol commission rate on A (e.g. 0.05 for 5%)
- * @param {number} commissionB - Protocol commission rate on B (e.g. 0.05 for 5%)
- * @param {boolean} isMarketFrozenA - If the protocol market on A is Suspended/Paused
- * @param {boolean} isMarketFrozenB - If the protocol market on B is Suspended/Paused
- * @returns {object} The arbitrage calculation result.
+ * @param {Object<string, number[]>} oddsByProtocol - protocol -> decimal odds per outcome (frozen protocols excluded)
+ * @param {number} totalInvestment - The total amount in USD to stake across all legs.
+ * @param {Object<string, number|{bet: number, approve?: number, claim?: number}>} gasFees - protocol -> expected
+ *   gas cost in USD of one leg (a plain number is the bet transaction alone)
+ * @param {Object<string, number>} commissions - protocol -> commission rate (e.g. 0.05 for 5%)
+ * @returns {object} The arbitrage calculation result; each leg's `bookie` is the protocol name
+ *   and `gas` its { bet, approve, claim } cost in USD.
  */
-function calculateArbitrageOpportunity(
-    matchId,
-    azuroOddsArray,
-    dexsportOddsArray,
-    totalInvestment,
-    gasFeeA = 0,
-    gasFeeB = 0,
-    commissionA = 0,
-    commissionB = 0,
-    isMarketFrozenA = false,
-    isMarketFrozenB = false
-) {
-    // 0. Safety Check: Market Suspension
-    if (isMarketFrozenA || isMarketFrozenB) {
-        logger.warn(`[Suspension Shield] Arbitrage ignored for ${matchId} - Market is Closed/Frozen.`);
-        return { isArbitrage: false, margin: 0, reason: "Market Suspended" };
-    }
+function calculateMultiProtocolArbitrage(matchId, oddsByProtocol, totalInvestment, gasFees = {}, commissions = {}) {
+    const protocols = Object.keys(oddsByProtocol).filter(p => oddsByProtocol[p] && oddsByProtocol[p].length > 0);
 
-    if (!azuroOddsArray || !dexsportOddsArray || azuroOddsArray.length === 0) {
+    if (protocols.length === 0) {
         return { isArbitrage: false, margin: 0, reason: "Odds missing" };
     }
 
     // Safety Check: Multi-Market Protection
-    if (azuroOddsArray.length !== dexsportOddsArray.length) {
-        logger.warn(`[Suspension Shield] Arbitrage blocked for ${matchId} - Array length mismatch (Azuro ${azuroOddsArray.length} vs Dexsport ${dexsportOddsArray.length}) denotes inconsistent Market Types.`);
+    const numOutcomes = oddsByProtocol[protocols[0]].length;
+    if (protocols.some(p => oddsByProtocol[p].length !== numOutcomes)) {
+        const lengths = protocols.map(p => `${p} ${oddsByProtocol[p].length}`).join(' vs ');
+        logger.warn(`[Suspension Shield] Arbitrage blocked for ${matchId} - Array length mismatch (${lengths}) denotes inconsistent Market Types.`);
         return { isArbitrage: false, margin: 0, reason: "Odds array length mismatch" };
     }
 
-    const numOutcomes = azuroOddsArray.length;
     let margin = 0;
     const bestOdds = [];
-    let usesAzuro = false;
-    let usesDexsport = false;
 
     // 1. Find the best effective odd for each outcome covering ALL possibilities
     for (let i = 0; i < numOutcomes; i++) {
-        const effAzuro = (azuroOddsArray[i] || 0) * (1 - commissionA);
-        const effDexsport = (dexsportOddsArray[i] || 0) * (1 - commissionB);
-
-        if (effAzuro === 0 && effDexsport === 0) return { isArbitrage: false, margin: 0, reason: "Zero odds on an outcome" };
-
-        let bestBookie, bestEffOdd, rawOdd;
-        if (effAzuro > effDexsport) {
-            bestEffOdd = effAzuro;
-            rawOdd = azuroOddsArray[i];
-            bestBookie = 'azuro';
-            usesAzuro = true;
-        } else {
-            bestEffOdd = effDexsport;
-            rawOdd = dexsportOddsArray[i];
-            bestBookie = 'overtime';
-            usesDexsport = true;
+        let bestBookie = null;
+        let bestEffOdd = 0;
+        let rawOdd = 0;
+
+        for (const protocol of protocols) {
+            const effOdd = (oddsByProtocol[protocol][i] || 0) * (1 - (commissions[protocol] || 0));
+            if (effOdd > bestEffOdd) {
+                bestEffOdd = effOdd;
+                rawOdd = oddsByProtocol[protocol][i];
+                bestBookie = protocol;
+            }
         }
 
-        if (bestEffOdd <= 0) return { isArbitrage: false, margin: 0, reason: "Zero odds on best outcome" };
+        if (bestEffOdd <= 0) return { isArbitrage: false, margin: 0, reason: "Zero odds on an outcome" };
 
-        bestOdds.push({ outcomeIndex: i, bookie: bestBookie, effOdd: bestEffOdd, rawOdd });
+        bestOdds.push({ outcomeIndex: i, bookie: bestBookie, effOdd: bestEffOdd, rawOdd, gas: legGasCost(gasFees, bestBookie) });
         margin += 1 / bestEffOdd;
     }
 
@@ -98,13 +76,11 @@ function calculateArbitrageOpportunity(
         bestOdds[i].stake = stake;
     }
 
-    // 3. Subtract total gas fees depending on which networks are routed
-    let totalGasCost = 0;
-    if (usesAzuro) totalGasCost += gasFeeA;
-    if (usesDexsport) totalGasCost += gasFeeB;
+    // 3. Subtract the gas of every leg (approval + bet) and of the one claim the winning leg will need
+    const gasCosts = totalGasCost(bestOdds.map(leg => leg.gas));
 
     const netReturn = totalInvestment / margin;
-    let trueNetProfit = netReturn - totalInvestment - totalGasCost;
+    let trueNetProfit = netReturn - totalInvestment - gasCosts;
 
     // Safety buffer: If profit doesn't cover total Gas, it's not a true arbitrage
     const isProfitable = trueNetProfit > 0;
@@ -121,14 +97,119 @@ function calculateArbitrageOpportunity(
     return {
         isArbitrage: isProfitable,
         matchId,
+        margin,
         profitPercentage,
         minNetProfit: trueNetProfit,
         legs: bestOdds,
-        gasCosts: totalGasCost
+        gasCosts
     };
 }
 
+/**
+ * Normalizes the gas entry of a protocol to a per-leg breakdown in USD.
+ * @param {Object<string, number|object>} gasFees - protocol -> bet cost, or { bet, approve, claim }
+ * @param {string} protocol
+ * @returns {{ bet: number, approve: number, claim: number }}
+ */
+function legGasCost(gasFees, protocol) {
+    const fee = gasFees[protocol];
+    if (typeof fee === 'number') return { bet: fee, approve: 0, claim: 0 };
+    return { bet: (fee && fee.bet) || 0, approve: (fee && fee.approve) || 0, claim: (fee && fee.claim) || 0 };
+}
+
+/**
+ * Gas of a whole arbitrage: every leg sends its own approval (when needed) and bet, while
+ * exactly one outcome wins, so a single claim is paid - the most expensive one is counted.
+ * @param {{ bet: number, approve: number, claim: number }[]} legGas - One entry per leg
+ * @returns {number} USD
+ */
+function totalGasCost(legGas) {
+    const sent = legGas.reduce((sum, gas) => sum + gas.bet + gas.approve, 0);
+    return sent + Math.max(0, ...legGas.map(gas => gas.claim));
+}
+
+/**
+ * Re-prices an arbitrage result after the gas of its legs changed (e.g. exact estimates
+ * replaced the per-action defaults): gasCosts, net profit and isArbitrage are recomputed
+ * from each leg's `gas`, the gross return being unchanged.
+ * @param {object} arbitrageResult - Output of calculateMultiProtocolArbitrage, updated in place
+ * @returns {object} The same result
+ */
+function repriceGas(arbitrageResult) {
+    const grossProfit = arbitrageResult.minNetProfit + (arbitrageResult.gasCosts || 0);
+    const totalInvestment = arbitrageResult.legs.reduce((sum, leg) => sum + leg.stake, 0);
+
+    arbitrageResult.gasCosts = totalGasCost(arbitrageResult.legs.map(leg => leg.gas));
+    arbitrageResult.minNetProfit = grossProfit - arbitrageResult.gasCosts;
+    arbitrageResult.profitPercentage = (arbitrageResult.minNetProfit / totalInvestment) * 100;
+    arbitrageResult.isArbitrage = arbitrageResult.minNetProfit > 0;
+    return arbitrageResult;
+}
+
+/**
+ * Cheap margin estimate used to pre-screen matched events before spending RPC calls.
+ * Same best-effective-odd logic as calculateMultiProtocolArbitrage, without logging or staking.
+ *
+ * @param {Object<string, number[]>} oddsByProtocol - protocol -> aligned odds per outcome
+ * @param {Object<string, number>} commissions - protocol -> commission rate
+ * @returns {number} Sum of 1 / best effective odd (Infinity when outcomes do not line up)
+ */
+function estimateMargin(oddsByProtocol, commissions = {}) {
+    const oddsArrays = Object.entries(oddsByProtocol).filter(([, odds]) => odds && odds.length > 0);
+    if (oddsArrays.length < 2) return Infinity;
+
+    const numOutcomes = oddsArrays[0][1].length;
+    if (oddsArrays.some(([, odds]) => odds.length !== numOutcomes)) return Infinity;
+
+    let margin = 0;
+    for (let i = 0; i < numOutcomes; i++) {
+        const best = Math.max(...oddsArrays.map(([protocol, odds]) => (odds[i] || 0) * (1 - (commissions[protocol] || 0))));
+        if (best <= 0) return Infinity;
+        margin += 1 / best;
+    }
+    return margin;
+}
+
+/**
+ * Protocol and share of the total investment of every outcome under the equal-payout split of the
+ * best effective odds. Same split as calculateMultiProtocolArbitrage, without logging, gas or margin check.
+ *
+ * @param {Object<string, number[]>} oddsByProtocol - protocol -> aligned odds per outcome
+ * @param {Object<string, number>} commissions - protocol -> commission rate
+ * @returns {Array<{ bookie: string, share: number }>|null} One entry per outcome, null when outcomes do not line up
+ */
+function estimateStakeShares(oddsByProtocol, commissions = {}) {
+    const oddsArrays = Object.entries(oddsByProtocol).filter(([, odds]) => odds && odds.length > 0);
+    if (oddsArrays.length === 0) return null;
+
+    const numOutcomes = oddsArrays[0][1].length;
+    if (oddsArrays.some(([, odds]) => odds.length !== numOutcomes)) return null;
+
+    const best = [];
+    for (let i = 0; i < numOutcomes; i++) {
+        let bookie = null;
+        let bestEffOdd = 0;
+        for (const [protocol, odds] of oddsArrays) {
+            const effOdd = (odds[i] || 0) * (1 - (commissions[protocol] || 0));
+            if (effOdd > bestEffOdd) {
+                bestEffOdd = effOdd;
+                bookie = protocol;
+            }
+        }
+        if (bestEffOdd <= 0) return null;
+        best.push({ bookie, effOdd: bestEffOdd });
+    }
+
+    const margin = best.reduce((sum, leg) => sum + 1 / leg.effOdd, 0);
+    return best.map(leg => ({ bookie: leg.bookie, share: (1 / leg.effOdd) / margin }));
+}
+
 module.exports = {
-    calculateArbitrageOpportunity,
+    calculateMultiProtocolArbitrage,
+    estimateMargin,
+    estimateStakeShares,
+    legGasCost,
+    totalGasCost,
+    repriceGas,
     logger
 };
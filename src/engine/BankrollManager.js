@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+const { logger } = require('./ArbitrageEngine');
+const betLedger = require('../storage/BetLedger');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+const providerManager = require('../config/ProviderManager');
+
+const ERC20_ABI = [
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+/**
+ * Bankroll Manager
+ * Tracks the stablecoin available on each chain plus the exposure already locked in open bets
+ * (from the Bet Ledger), and sizes every arbitrage so that each leg is fundable from the balance
+ * of its own chain, with configurable rules:
+ *   BANKROLL_FRACTION     - share of the total bankroll staked on a single arbitrage
+ *   MAX_STAKE_PER_MATCH   - cap on the total exposure on one match (open bets included)
+ *   MAX_STAKE_PER_SPORT   - cap on the total exposure on one sport (open bets included)
+ *   MIN_ABS_PROFIT_USD    - minimum net profit (USD) for an arbitrage to be executed
+ * Falls back to the static TOTAL_INVESTMENT when balances cannot be read.
+ */
+class BankrollManager {
+    constructor() {
+        this.fraction = parseFloat(process.env.BANKROLL_FRACTION || "0.1");
+        this.maxStakePerMatch = parseFloat(process.env.MAX_STAKE_PER_MATCH || "Infinity");
+        this.maxStakePerSport = parseFloat(process.env.MAX_STAKE_PER_SPORT || "Infinity");
+        this.minAbsProfitUsd = parseFloat(process.env.MIN_ABS_PROFIT_USD || "0");
+        this.fallbackStake = parseFloat(process.env.TOTAL_INVESTMENT || "100");
+
+        const privateKey = process.env.PRIVATE_KEY;
+        this.walletAddress = privateKey ? new ethers.Wallet(privateKey).address : (process.env.DRY_RUN_ADDRESS || null);
+
+        // Caching
+        this.balances = {}; // chain -> available stablecoin (USD)
+        this.lastUpdate = 0;
+        this.CACHE_DURATION_MS = 30000;
+    }
+
+    /**
+     * Reads the stablecoin balance of the bot wallet on every chain (cached).
+     * @returns {Promise<object>} chain -> available USD
+     */
+    async refreshBalances() {
+        if (Date.now() - this.lastUpdate < this.CACHE_DURATION_MS) return this.balances;
+        if (!this.walletAddress) return this.balances;
+
+        await Promise.all(Object.entries(this._getChainTokens()).map(async ([chain, stablecoin]) => {
+            if (!providerManager.hasConfiguredRpc(chain)) return;
+            try {
+                const provider = providerManager.getProvider(chain);
+                const token = new ethers.Contract(stablecoin.address, ERC20_ABI, provider);
+                const balanceWei = await token.balanceOf(this.walletAddress);
+                this.balances[chain] = parseFloat(ethers.formatUnits(balanceWei, stablecoin.decimals));
+            } catch (error) {
+                logger.warn(`[Bankroll] Could not read ${chain} balance: ${error.message}`);
+            }
+        }));
+
+        this.lastUpdate = Date.now();
+        return this.balances;
+    }
+
+    /**
+     * Stablecoin staked on each chain of the enabled protocols.
+     * Protocols sharing a chain are assumed to share its stablecoin (first one wins).
+     * @returns {Object<string, { address: string, decimals: number }>} chain -> stablecoin
+     */
+    _getChainTokens() {
+        const tokens = {};
+        for (const fetcher of fetcherRegistry.list()) {
+            if (!tokens[fetcher.chain]) tokens[fetcher.chain] = fetcher.stablecoin;
+        }
+        return tokens;
+    }
+
+    /**
+     * Exposure locked in bets that are not settled yet, grouped by chain, match and sport.
+     */
+    getLockedExposure() {
+        const exposure = { total: 0, byChain: {}, byMatch: {}, bySport: {} };
+
+        for (const leg of betLedger.getOpenLegs()) {
+            if (leg.paper) continue;
+            const arbitrage = betLedger.arbitrages.get(leg.arbId) || {};
+            const sport = (arbitrage.sport || 'unknown').toLowerCase();
+            // Several markets of the same event count against the same match cap (canonical event id across protocols)
+            const match = arbitrage.eventId || arbitrage.gameId || arbitrage.matchId;
+
+            exposure.total += leg.stake;
+            exposure.byChain[leg.chain] = (exposure.byChain[leg.chain] || 0) + leg.stake;
+            exposure.byMatch[match] = (exposure.byMatch[match] || 0) + leg.stake;
+            exposure.bySport[sport] = (exposure.bySport[sport] || 0) + leg.stake;
+        }
+
+        return exposure;
+    }
+
+    /**
+     * Total investment for a new arbitrage on this match, after all sizing rules.
+     * @param {object} context
+     * @param {string} context.matchId - Canonical event id (see buildEventClusters)
+     * @param {string} context.sport
+     * @param {Array<{ bookie: string, share: number }>} [context.stakeShares] - Expected split of the stake
+     *   (see estimateStakeShares); without it the balances of every chain are pooled
+     * @returns {Promise<number>} Stake in USD (0 when the opportunity must be skipped)
+     */
+    async getStake({ matchId, sport, stakeShares = null }) {
+        await this.refreshBalances();
+
+        const chainsWithBalance = Object.keys(this.balances);
+        if (chainsWithBalance.length === 0) {
+            // No wallet/RPC to read from: behave like the static TOTAL_INVESTMENT setup
+            return this.fallbackStake;
+        }
+
+        const available = chainsWithBalance.reduce((sum, chain) => sum + this.balances[chain], 0);
+        const exposure = this.getLockedExposure();
+        const bankroll = available + exposure.total;
+
+        const sportKey = (sport || 'unknown').toLowerCase();
+        const limits = {
+            fraction: bankroll * this.fraction,
+            ...this._fundingLimits(available, stakeShares),
+            match: this.maxStakePerMatch - (exposure.byMatch[matchId] || 0),
+            sport: this.maxStakePerSport - (exposure.bySport[sportKey] || 0)
+        };
+
+        const [limitName, stake] = Object.entries(limits).reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+        logger.debug(`[Bankroll] Bankroll $${bankroll.toFixed(2)} (locked $${exposure.total.toFixed(2)}) → stake $${Math.max(0, stake).toFixed(2)} (bound by ${limitName})`);
+
+        return Math.max(0, stake);
+    }
+
+    /**
+     * Largest total investment each chain can fund: its balance divided by the share of the stake
+     * its legs take. A chain without a readable balance funds nothing.
+     * @returns {Object<string, number>} limit name -> USD
+     */
+    _fundingLimits(available, stakeShares) {
+        if (!stakeShares) return { available };
+
+        const chainShares = {};
+        for (const { bookie, share } of stakeShares) {
+            const chain = fetcherRegistry.get(bookie).chain;
+            chainShares[chain] = (chainShares[chain] || 0) + share;
+        }
+
+        const limits = {};
+        for (const [chain, share] of Object.entries(chainShares)) {
+            limits[`${chain} balance`] = (this.balances[chain] || 0) / share;
+        }
+        return limits;
+    }
+
+    /**
+     * @param {object} arbitrageResult
+     * @returns {boolean} True if the net profit reaches MIN_ABS_PROFIT_USD
+     */
+    meetsMinProfit(arbitrageResult) {
+        return arbitrageResult.minNetProfit >= this.minAbsProfitUsd;
+    }
+}
+
+module.exports = new BankrollManager();
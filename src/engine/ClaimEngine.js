@@ -1,13 +1,9 @@
-const { ethers } = require('ethers');
 const { logger } = require('./ArbitrageEngine');
-
-const AZURO_CORE_ABI = [
-    "function withdrawPayouts(uint256[] calldata conditionIds) external"
-];
-
-const DEXSPORT_ABI = [
-    "function claim(bytes32 poolId) external"
-];
+const betLedger = require('../storage/BetLedger');
+const { LEG_STATES, RESOLUTION } = require('../storage/BetLedger');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+const providerManager = require('../config/ProviderManager');
+const signerPool = require('./SignerPool');
 
 /**
  * Claim Engine
@@ -16,79 +12,147 @@ const DEXSPORT_ABI = [
  */
 class ClaimEngine {
     constructor() {
-        this.polygonRpc = process.env.POLYGON_RPC_URL;
-        this.azuroContract = process.env.AZURO_LP_CONTRACT || "0x204e7371Ade792c5C006fb52711c50a7efC843ed";
-
-        this.bscRpc = process.env.BSC_RPC_URL;
-        this.dexsportContract = process.env.DEXSPORT_POOL_CONTRACT || "0x393c06fb9134a6df6158c5f5904d962086e33814";
-
         this.privateKey = process.env.PRIVATE_KEY;
+    }
 
-        // In-memory store for MVP. TODO: Persist `pendingClaims` to Redis or PostgreSQL
-        // to prevent loss of winning tickets if the Node.js process crashes or restarts.
-        this.pendingClaims = [];
+    /**
+     * Pending tickets are read from the persistent Bet Ledger,
+     * so winning tickets survive a crash or restart of the Node.js process.
+     */
+    get pendingClaims() {
+        return betLedger.getClaimableLegs();
     }
 
     /**
      * Registers a successfully placed bet to be monitored for payouts
-     * @param {Object} claimTicket 
+     * @param {Object} claimTicket - { legId, txHash, blockNumber, gasUsed, effectiveGasPrice, betId, fillOdds }
+     *   of a leg recorded in the Bet Ledger
      */
     registerBetForClaiming(claimTicket) {
-        this.pendingClaims.push(claimTicket);
+        const { legId, ...receiptData } = claimTicket;
+        betLedger.updateLeg(legId, { state: LEG_STATES.PLACED, ...receiptData });
         logger.info(`[Claim Engine] Registered Ticket ${claimTicket.txHash} for future payout monitoring.`);
     }
 
     /**
      * Polling process that would be continuously called in a background loop.
-     * Checks if the condition ID map has resolved to "Finished" on the blockchain.
+     * Reads the on-chain resolution of every pending ticket and only sends a claim
+     * transaction for winning or refunded ones; losing tickets are closed out.
      */
     async processResolutions() {
-        if (this.pendingClaims.length === 0) return;
+        const paperLegs = this.pendingClaims.filter(leg => leg.paper);
+        const pendingClaims = this.pendingClaims.filter(leg => !leg.paper);
 
-        logger.info(`[Claim Engine] Checking resolution status for ${this.pendingClaims.length} active bets...`);
+        if (paperLegs.length > 0) {
+            await this.settlePaperLegs(paperLegs);
+        }
 
-        if (!this.privateKey) return;
+        if (pendingClaims.length === 0) return;
 
-        const polyProvider = new ethers.JsonRpcProvider(this.polygonRpc);
-        const bscProvider = new ethers.JsonRpcProvider(this.bscRpc);
-        const polyWallet = new ethers.Wallet(this.privateKey, polyProvider);
-        const bscWallet = new ethers.Wallet(this.privateKey, bscProvider);
+        logger.info(`[Claim Engine] Checking resolution status for ${pendingClaims.length} active bets...`);
 
-        const azuroCore = new ethers.Contract(this.azuroContract, AZURO_CORE_ABI, polyWallet);
-        const dexsportPool = new ethers.Contract(this.dexsportContract, DEXSPORT_ABI, bscWallet);
+        if (!this.privateKey) return;
 
-        const newPendingClaims = [];
+        const providers = this._getReadProviders();
 
-        for (const claim of this.pendingClaims) {
+        for (const claim of pendingClaims) {
             try {
-                // In a production environment, we should verify the "state" of the match before attempting to claim.
-                // For Azuro: `azuroCore.getCondition(conditionId)`, if state == 2 (Resolved), then claim.
-                // For Dexsport: `dexsportPool.getPool(poolId)`, check status.
-                // Assuming the conditions are met here:
-
-                logger.info(`[Claim Engine] Attempting to withdraw payout for Match ${claim.matchId} on ${claim.bookie.toUpperCase()}...`);
-
-                if (claim.bookie === 'azuro') {
-                    // Azuro expects an array of conditionIds
-                    const tx = await azuroCore.withdrawPayouts([claim.matchId]);
-                    const receipt = await tx.wait();
-                    logger.info(`[Claim Engine Polygon] ✅ Successfully Withdrawn Payout! Hash: ${receipt.hash}`);
-                } else if (claim.bookie === 'dexsport') {
-                    const tx = await dexsportPool.claim(claim.matchId);
-                    const receipt = await tx.wait();
-                    logger.info(`[Claim Engine BSC] ✅ Successfully Withdrawn Payout! Hash: ${receipt.hash}`);
+                if (!fetcherRegistry.has(claim.bookie)) {
+                    logger.warn(`[Claim Engine] No claim route for ${claim.bookie.toUpperCase()}. Ticket ${claim.legId} stays pending.`);
+                    continue;
+                }
+                const fetcher = fetcherRegistry.get(claim.bookie);
+
+                // Verify the on-chain state of the market BEFORE spending gas on a claim.
+                // Protocols without a resolution reader (Dexsport) still get their claim attempted blindly.
+                const resolution = fetcher.blindClaim
+                    ? RESOLUTION.WON
+                    : await fetcher.getLegResolution(claim, providers[fetcher.chain]);
+
+                if (resolution === RESOLUTION.OPEN) {
+                    logger.debug(`[Claim Engine] Match ${claim.matchId} on ${claim.bookie.toUpperCase()} not resolved yet.`);
+                    continue;
                 }
 
-                // If successful, we do NOT push it back to newPendingClaims (it's resolved)
+                if (resolution === RESOLUTION.LOST) {
+                    // Nothing to withdraw: close the ticket out instead of retrying forever
+                    const pnl = this._computePnl(claim, resolution);
+                    betLedger.updateLeg(claim.legId, { state: LEG_STATES.LOST, resolution, pnl });
+                    logger.info(`[Claim Engine] ❌ ${claim.bookie.toUpperCase()} leg on ${claim.matchId} lost. Closed with P&L $${pnl.toFixed(2)}.`);
+                    continue;
+                }
+
+                logger.info(`[Claim Engine] Attempting to withdraw ${resolution} payout for Match ${claim.matchId} on ${claim.bookie.toUpperCase()}...`);
+
+                // Azuro withdrawPayouts, Overtime exerciseOptions on the exact sport market, Dexsport pool claim...
+                const network = fetcher.chain.charAt(0).toUpperCase() + fetcher.chain.slice(1);
+                // Same warm signer as the bets, so claims and bets never race for a nonce
+                const tx = await signerPool.sendTransaction(fetcher.chain, fetcher.buildClaimTx(claim), {
+                    label: 'claim',
+                    onReplacement: (replacement) => betLedger.recordReplacement(claim.legId, replacement)
+                });
+                const receipt = await tx.wait();
+                logger.info(`[Claim Engine ${network}] ✅ Successfully Withdrawn ${claim.bookie.toUpperCase()} Payout! Hash: ${receipt.hash}`);
+
+                // If successful, the leg is CLAIMED in the ledger and drops out of pendingClaims
+                betLedger.updateLeg(claim.legId, {
+                    state: LEG_STATES.CLAIMED,
+                    resolution,
+                    pnl: this._computePnl(claim, resolution),
+                    claimTxHash: receipt.hash
+                });
             } catch (error) {
-                // If the transaction fails (e.g., match not resolved yet, or lost the bet), we simply catch and log.
+                // Resolution read or claim transaction failed (RPC hiccup, revert...).
+                // The leg stays PLACED in the ledger and is retried on the next tick.
                 logger.warn(`[Claim Engine] Claim for ${claim.matchId} on ${claim.bookie} is not ready or failed. Retrying later. Error: ${error.message}`);
-                newPendingClaims.push(claim);
+            }
+        }
+    }
+
+    /**
+     * Settles DRY_RUN paper legs against the real on-chain results. No transaction is sent.
+     * @param {object[]} paperLegs
+     */
+    async settlePaperLegs(paperLegs) {
+        logger.info(`[Claim Engine] [Paper] Checking resolution status for ${paperLegs.length} paper bets...`);
+
+        const providers = this._getReadProviders();
+
+        for (const leg of paperLegs) {
+            try {
+                const fetcher = fetcherRegistry.get(leg.bookie);
+                const resolution = await fetcher.getLegResolution(leg, providers[fetcher.chain]);
+                if (resolution === RESOLUTION.OPEN) continue;
+
+                const pnl = this._computePnl(leg, resolution);
+                betLedger.updateLeg(leg.legId, { state: LEG_STATES.SETTLED, resolution, pnl });
+                logger.info(`[Claim Engine] [Paper] ${leg.bookie.toUpperCase()} leg on ${leg.matchId} settled as ${resolution.toUpperCase()} (P&L: $${pnl.toFixed(2)}).`);
+            } catch (error) {
+                logger.warn(`[Claim Engine] [Paper] Resolution check for ${leg.matchId} on ${leg.bookie} failed. Retrying later. Error: ${error.message}`);
             }
         }
 
-        this.pendingClaims = newPendingClaims;
+        const summary = betLedger.getPaperSummary();
+        logger.info(`[Claim Engine] [Paper] Portfolio: ${summary.settled} settled / ${summary.open} open leg(s) | Staked $${summary.staked.toFixed(2)} | P&L $${summary.pnl.toFixed(2)}`);
+    }
+
+    /**
+     * Final P&L of a settled leg, at the odds it was filled at.
+     */
+    _computePnl(leg, resolution) {
+        const odds = leg.fillOdds || leg.odds;
+        if (resolution === RESOLUTION.WON) return leg.stake * odds - leg.stake;
+        if (resolution === RESOLUTION.REFUNDED) return 0;
+        return -leg.stake;
+    }
+
+    /**
+     * @returns {Object<string, ethers.Provider>} chain -> provider, for every enabled protocol's chain
+     */
+    _getReadProviders() {
+        return providerManager.getProviders(fetcherRegistry.chains());
     }
 }
 
 module.exports = new ClaimEngine();
+module.exports.RESOLUTION = RESOLUTION;
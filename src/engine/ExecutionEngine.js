@@ -1,16 +1,24 @@
 const { ethers } = require('ethers');
-const { logger } = require('./ArbitrageEngine');
-
-const AZURO_CORE_ABI = [
-    "function putQuote(uint256 conditionId, uint64 outcomeId, uint256 minOdds, bytes calldata data) external payable",
-    "function withdrawPayouts(uint256[] calldata conditionIds) external"
+const { logger, repriceGas } = require('./ArbitrageEngine');
+const betLedger = require('../storage/BetLedger');
+const { LEG_STATES } = require('../storage/BetLedger');
+const hedgeManager = require('./HedgeManager');
+const preflightChecker = require('./PreflightChecker');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+const providerManager = require('../config/ProviderManager');
+const signerPool = require('./SignerPool');
+const allowanceManager = require('./AllowanceManager');
+
+// Events emitted on a successful bet, used to decode the bet/position identifiers from receipts
+const BET_EVENTS_ABI = [
+    "event NewBet(address indexed bettor, address indexed affiliate, uint256 indexed conditionId, uint256 tokenId, uint64 outcomeId, uint128 amount, uint64 odds, uint128[2] funds)",
+    "event BoughtFromAmm(address buyer, address market, uint8 position, uint256 amount, uint256 sUSDPaid, address susd, address asset)"
 ];
 
-const OVERTIME_ABI = [
-    "function buyFromAmm(address market, uint8 position, uint256 amount, uint256 expectedPayout, uint256 additionalSlippage) external",
-    "function buyFromAmmQuote(address market, uint8 position, uint256 amount) view returns (uint256)",
-    "function claim(address market) external" // Overtime uses a decentralized resolver contract for claiming
-];
+const AZURO_ODDS_DECIMALS = 12;
+
+// Safety margin on top of eth_estimateGas when the bet gas limit is pinned
+const GAS_LIMIT_BUFFER_BPS = 12000n;
 
 const ERC20_ABI = [
     "function allowance(address owner, address spender) view returns (uint256)",
@@ -21,19 +29,15 @@ const ERC20_ABI = [
 
 /**
  * Execution Engine
- * Compiles and Broadcasts the final Arbitrage trades across both protocols.
+ * Compiles and Broadcasts the final Arbitrage trades across every protocol of the arbitrage.
+ * Bet transactions are built by each protocol's fetcher (see FetcherRegistry).
  */
 class ExecutionEngine {
     constructor() {
         this.autoClaim = process.env.AUTO_CLAIM === 'true';
 
-        // Polygon Setup
-        this.polygonRpc = process.env.POLYGON_RPC_URL;
-        this.azuroContract = process.env.AZURO_LP_CONTRACT || "0x204e7371Ade792c5C006fb52711c50a7efC843ed";
-
-        // Arbitrum Setup
-        this.arbitrumRpc = process.env.ARBITRUM_RPC_URL;
-        this.overtimeContract = process.env.OVERTIME_SPORTS_AMM_ARBITRUM || "0x170a5714112daEfF20E798B6e92e25B86Ea603C1";
+        // Paper-trading mode: simulate every leg and record paper fills, never sign a transaction
+        this.dryRun = process.env.DRY_RUN === 'true';
 
         this.privateKey = process.env.PRIVATE_KEY;
     }
@@ -51,29 +55,68 @@ class ExecutionEngine {
         // Execution Engine now ALWAYS places the bets when evaluateAndExecute is called.
         // Wait to trigger downstream claim resolution modules based on AUTO_CLAIM.
 
-        if (!this.privateKey || !this.polygonRpc || !this.arbitrumRpc) {
-            logger.error(`[Execution Fallback] Missing EVM connectivity variables in .env. Execution Aborted.`);
+        const chains = this._legChains(arbitrageResult);
+        if ((!this.privateKey && !this.dryRun) || chains.some(chain => !providerManager.hasConfiguredRpc(chain))) {
+            logger.error(`[Execution Fallback] Missing EVM connectivity variables in .env (${chains.join(', ')}). Execution Aborted.`);
             return false;
         }
 
-        try {
-            await this.broadcastLegs(arbitrageResult);
+        // Preflight: every leg must be fundable BEFORE anything is sent (may scale stakes down)
+        if (!this.dryRun) {
+            try {
+                const preflight = await preflightChecker.run(arbitrageResult, signerPool.address, providerManager.getProviders(chains));
+                if (!preflight.ok) return false;
+            } catch (error) {
+                logger.error(`[Execution] Preflight failed: ${error.message}. Execution Aborted.`);
+                return false;
+            }
+        }
 
-            // If AUTO_CLAIM is enabled, queue the successful bet IDs into a claim monitoring routine
-            if (this.autoClaim) {
-                logger.info(`[Execution] AUTO_CLAIM enabled. Tracking transaction IDs for post-match resolution payout.`);
-                const claimEngine = require('./ClaimEngine');
+        // Persist the arbitrage BEFORE broadcasting so a crash mid-flight still leaves a trace
+        const ledgerRecord = betLedger.recordArbitrage(arbitrageResult, { paper: this.dryRun });
 
-                // Demo mapping logic for storing the bet data
-                for (const leg of arbitrageResult.legs) {
-                    claimEngine.registerBetForClaiming({
-                        matchId: arbitrageResult.matchId,
-                        bookie: leg.bookie,
-                        outcomeIndex: leg.outcomeIndex,
-                        stake: leg.stake,
-                        txHash: `0xMOCKTX_${Date.now()}_${leg.bookie}`
+        try {
+            const legResults = await this.broadcastLegs(arbitrageResult, ledgerRecord.legs);
+
+            if (this.dryRun) {
+                // Paper fills go straight into the paper portfolio; ClaimEngine settles them once resolved
+                legResults.forEach((fill, i) => {
+                    betLedger.updateLeg(ledgerRecord.legs[i].legId, {
+                        state: LEG_STATES.PLACED,
+                        fillOdds: fill.fillOdds,
+                        simulation: fill.simulation
                     });
+                });
+                logger.info(`[Execution] DRY_RUN: ${legResults.length} paper leg(s) recorded in the paper portfolio.`);
+                return true;
+            }
+
+            // Only legs that actually filled are written as PLACED, with their real on-chain identifiers,
+            // so winnings survive restarts even without AUTO_CLAIM
+            const claimEngine = require('./ClaimEngine');
+            legResults.forEach((legResult, i) => {
+                const { legId } = ledgerRecord.legs[i];
+                if (legResult.status === 'filled') {
+                    const { status, bookie, outcomeIndex, ...receiptData } = legResult;
+                    claimEngine.registerBetForClaiming({ legId, ...receiptData });
+                } else {
+                    betLedger.updateLeg(legId, { state: LEG_STATES.FAILED, error: legResult.error });
                 }
+            });
+
+            const filledCount = legResults.filter(r => r.status === 'filled').length;
+            if (filledCount === 0) {
+                logger.error(`[Execution] ❌ No leg filled. Nothing at stake for ${arbitrageResult.matchId}.`);
+                return false;
+            }
+            if (filledCount < legResults.length) {
+                logger.warn(`[Execution] ⚠️ Only ${filledCount}/${legResults.length} leg(s) filled for ${arbitrageResult.matchId}. Position is NOT fully hedged.`);
+                await hedgeManager.recoverPartialFill(arbitrageResult, legResults, ledgerRecord);
+            }
+
+            // If AUTO_CLAIM is enabled, the ClaimEngine loop will pick the placed legs up from the ledger
+            if (this.autoClaim) {
+                logger.info(`[Execution] AUTO_CLAIM enabled. Tracking transaction IDs for post-match resolution payout.`);
             } else {
                 logger.info(`[Execution] AUTO_CLAIM disabled. Payouts remain in Protocols for manual withdrawal.`);
             }
@@ -81,124 +124,384 @@ class ExecutionEngine {
             return true;
         } catch (error) {
             logger.error(`[Execution FATAL] Broadcasting failed: ${error.message}`);
+            for (const leg of ledgerRecord.legs) {
+                betLedger.updateLeg(leg.legId, { state: LEG_STATES.FAILED, error: error.message });
+            }
             return false;
         }
     }
 
     /**
-     * Generates Ethers.js providers and fires parallel transactions
+     * Replaces the per-action gas defaults of every leg with the cost of the exact transactions
+     * broadcastLegs will send: the approval when the current allowance is below the stake, the
+     * bet built by the protocol's fetcher (eth_estimateGas) and the claim the leg needs if it wins.
+     * The result is re-priced in place and `leg.gas` holds the per-leg breakdown.
+     * @param {object} arbitrageResult - With matchId and native outcomes attached to the legs
+     * @param {GasOracle} gasOracle
+     * @returns {Promise<object>} The same result (isArbitrage false when gas eats the profit)
      */
-    async broadcastLegs(arbitrageResult) {
-        const polyProvider = new ethers.JsonRpcProvider(this.polygonRpc);
-        const arbitrumProvider = this.arbitrumRpc.startsWith('wss')
-            ? new ethers.WebSocketProvider(this.arbitrumRpc)
-            : new ethers.JsonRpcProvider(this.arbitrumRpc);
+    async estimateLegGas(arbitrageResult, gasOracle) {
+        const providers = providerManager.getProviders(this._legChains(arbitrageResult));
+        const from = this._senderAddress();
+
+        await Promise.all(arbitrageResult.legs.map(async (leg) => {
+            if (!fetcherRegistry.has(leg.bookie)) return;
+
+            const fetcher = fetcherRegistry.get(leg.bookie);
+            const { chain, stablecoin, spender } = fetcher;
+            const provider = providers[chain];
+            const gas = { ...leg.gas, approve: 0, estimated: false };
+
+            try {
+                const token = new ethers.Contract(stablecoin.address, ERC20_ABI, provider);
+                const stakeWei = ethers.parseUnits(leg.stake.toFixed(6), stablecoin.decimals);
+                if (await this._readAllowance(fetcher, token, from, stakeWei) < stakeWei) {
+                    const approveTx = { to: stablecoin.address, data: token.interface.encodeFunctionData('approve', [spender, stakeWei]) };
+                    gas.approve = (await gasOracle.estimateTxCostInUsd(chain, 'approve', approveTx, from)).usd;
+                }
 
-        const polyWallet = new ethers.Wallet(this.privateKey, polyProvider);
-        const arbitrumWallet = new ethers.Wallet(this.privateKey, arbitrumProvider);
+                // Reverts (priced with the default limit) while the approval above is still to be sent
+                const betTx = await fetcher.buildBetTx(leg, { provider, maxOddsDrop: this._maxOddsDrop(arbitrageResult, leg) });
+                const bet = await gasOracle.estimateTxCostInUsd(chain, fetcher.betAction, betTx, from);
+                gas.bet = bet.usd;
+                gas.betGasLimit = bet.gasLimit;
+                gas.estimated = bet.estimated;
+            } catch (error) {
+                logger.warn(`[Gas] ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}] exact estimate failed: ${error.shortMessage || error.message}. Keeping the oracle estimate.`);
+            }
+
+            // The claim transaction needs the bet id, unknown before the bet: priced from the claim action
+            gas.claim = await gasOracle.getGasCostInUsd(chain, 'claim');
+            leg.gas = gas;
+        }));
+
+        repriceGas(arbitrageResult);
 
-        const promises = [];
+        for (const leg of arbitrageResult.legs) {
+            if (!leg.gas) continue;
+            const approve = leg.gas.approve > 0 ? ` + approve $${leg.gas.approve.toFixed(2)}` : '';
+            logger.info(`[Gas] ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}]: bet $${leg.gas.bet.toFixed(2)} (${leg.gas.estimated ? 'estimateGas' : 'default limit'})${approve} | claim if won $${leg.gas.claim.toFixed(2)}`);
+        }
+        logger.info(`[Gas] Total $${arbitrageResult.gasCosts.toFixed(2)} -> net profit $${arbitrageResult.minNetProfit.toFixed(2)}`);
+
+        return arbitrageResult;
+    }
+
+    /**
+     * Signs with the pre-warmed signers of the SignerPool and fires parallel transactions.
+     * Every step of every leg is timed and logged, from detection (`detectedAt`) to confirmation.
+     * @param {object} arbitrageResult
+     * @param {object[]} [ledgerLegs] - Bet Ledger records of the legs (same order), where speed-ups and
+     *   cancellations of stuck transactions are recorded
+     * @returns {Promise<object[]>} One result per leg, in leg order:
+     *   filled -> { status, txHash, blockNumber, gasUsed, effectiveGasPrice, betId, fillOdds }
+     *   failed -> { status, error }
+     */
+    async broadcastLegs(arbitrageResult, ledgerLegs = []) {
+        const providers = providerManager.getProviders(this._legChains(arbitrageResult));
+
+        if (this.dryRun) {
+            return this.simulateLegs(arbitrageResult, providers);
+        }
 
         logger.info("=========================================");
         logger.info(`🛡️ EXECUTION ENGINE TRIGGERED 🛡️`);
         logger.info("=========================================");
 
-        for (const leg of arbitrageResult.legs) {
-            if (leg.bookie === 'azuro') {
-                // Use Azuro's specific Stablecoin (USDT on Polygon has 6 decimals)
-                const azuroStakeWei = ethers.parseUnits(leg.stake.toFixed(6), 6);
-                logger.info(`[TX Built] Polygon -> Azuro | Outcome: ${leg.outcomeIndex}, Stake: ${ethers.formatUnits(azuroStakeWei, 6)} USDT`);
-
-                const azuroCore = new ethers.Contract(this.azuroContract, AZURO_CORE_ABI, polyWallet);
-                const azuroToken = new ethers.Contract(process.env.AZURO_STABLECOIN_POLYGON || "0xc2132d05d31c914a87c6611c10748aeb04b58e8f", ERC20_ABI, polyWallet);
-
-                promises.push((async () => {
-                    try {
-                        const allowance = await azuroToken.allowance(polyWallet.address, this.azuroContract);
-                        if (allowance < azuroStakeWei) {
-                            logger.info(`[Polygon] Approving Azuro LP for ${ethers.formatUnits(azuroStakeWei, 6)} USDT...`);
-                            const txApprove = await azuroToken.approve(this.azuroContract, azuroStakeWei);
-                            await txApprove.wait();
-                        }
-
-                        // Assuming 'minOdds' is packed or handled via outcome arrays
-                        const mockData = ethers.hexlify(ethers.toUtf8Bytes("Arbitrage Bot Trade"));
-
-                        logger.info(`[Polygon] Broadcasting Azuro Trade...`);
-                        const tx = await azuroCore.putQuote(arbitrageResult.matchId, leg.outcomeIndex, 100, mockData, { value: azuroStakeWei });
-                        const receipt = await tx.wait();
-                        logger.info(`[Polygon] ✅ Trade confirmed! Hash: ${receipt.hash}`);
-
-                        return receipt;
-                    } catch (error) {
-                        logger.error(`[Polygon] Azuro TX failed: ${error.message}`);
-                        throw error;
-                    }
-                })());
-            } else if (leg.bookie === 'overtime') {
-                // Use Overtime's specific Stablecoin (USDC on Arbitrum has 6 decimals)
-                const overtimeStakeWei = ethers.parseUnits(leg.stake.toFixed(6), 6);
-                logger.info(`[TX Built] Arbitrum -> Overtime | Position: ${leg.outcomeIndex}, Stake: ${ethers.formatUnits(overtimeStakeWei, 6)} USDC`);
-
-                const overtimeAmm = new ethers.Contract(this.overtimeContract, OVERTIME_ABI, arbitrumWallet);
-                const overtimeToken = new ethers.Contract(process.env.OVERTIME_STABLECOIN_ARBITRUM || "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", ERC20_ABI, arbitrumWallet);
-
-                promises.push((async () => {
-                    try {
-                        const allowance = await overtimeToken.allowance(arbitrumWallet.address, this.overtimeContract);
-                        if (allowance < overtimeStakeWei) {
-                            logger.info(`[Arbitrum] Approving Overtime AMM for ${ethers.formatUnits(overtimeStakeWei, 6)} USDC...`);
-                            const txApprove = await overtimeToken.approve(this.overtimeContract, overtimeStakeWei);
-                            await txApprove.wait();
-                        }
-
-                        // 2. Récupérer les frais de réseau actuels et ajouter un "Boost" de priorité
-                        const feeData = await arbitrumProvider.getFeeData();
-                        const txOptions = {
-                            maxFeePerGas: feeData.maxFeePerGas,
-                            // On ajoute un tout petit bonus pour que le validateur nous choisisse en premier
-                            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas + ethers.parseUnits("0.01", "gwei")
-                        };
-
-                        logger.info(`[Arbitrum] Fetching exact quote to prevent MEV attacks...`);
-                        // 3. Récupérer le gain minimum attendu (Sécurité Anti-Sandwich)
-                        const expectedPayoutWei = await overtimeAmm.buyFromAmmQuote(arbitrageResult.matchId, leg.outcomeIndex, overtimeStakeWei);
-
-                        logger.info(`[Arbitrum] Broadcasting Overtime Trade with Priority Gas...`);
-                        // slippage = 2% (2e16 en wei)
-                        const additionalSlippage = ethers.parseUnits("0.02", 18);
-
-                        // 4. Exécution blindée
-                        const tx = await overtimeAmm.buyFromAmm(
-                            arbitrageResult.matchId,
-                            leg.outcomeIndex,
-                            overtimeStakeWei,
-                            expectedPayoutWei, // <-- Le correctif vital ici
-                            additionalSlippage,
-                            txOptions // <-- Le boost de vitesse
-                        );
-                        const receipt = await tx.wait();
-                        logger.info(`[Arbitrum] ✅ Trade confirmed! Hash: ${receipt.hash}`);
-
-                        return receipt;
-                    } catch (error) {
-                        logger.error(`[Arbitrum] Overtime TX failed: ${error.message}`);
-                        throw error;
-                    }
-                })());
+        const promises = arbitrageResult.legs.map(async (leg, i) => {
+            if (!fetcherRegistry.has(leg.bookie)) {
+                return { bookie: leg.bookie, outcomeIndex: leg.outcomeIndex, status: 'failed', error: `Unsupported bookie ${leg.bookie}` };
             }
-        }
+
+            const fetcher = fetcherRegistry.get(leg.bookie);
+            const { chain, stablecoin, spender } = fetcher;
+            const provider = providers[chain];
+            const network = chain.charAt(0).toUpperCase() + chain.slice(1);
+            const stakeWei = ethers.parseUnits(leg.stake.toFixed(6), stablecoin.decimals);
+            const timer = new StepTimer();
+            const ledgerLeg = ledgerLegs[i];
+            const onReplacement = ledgerLeg ? (replacement) => betLedger.recordReplacement(ledgerLeg.legId, replacement) : null;
+            logger.info(`[TX Built] ${network} -> ${leg.bookie.toUpperCase()} | Outcome: ${leg.outcomeIndex} (${leg.label}), Stake: ${ethers.formatUnits(stakeWei, stablecoin.decimals)} ${stablecoin.symbol}`);
+
+            try {
+                const token = new ethers.Contract(stablecoin.address, ERC20_ABI, provider);
+                const [allowance] = await Promise.all([this._readAllowance(fetcher, token, signerPool.address, stakeWei), signerPool.get(chain)]);
+                timer.lap('allowance');
+
+                // Fallback only: the AllowanceManager pre-approves the spenders ahead of time
+                if (allowance < stakeWei) {
+                    logger.info(`[${network}] Approving ${leg.bookie.toUpperCase()} for ${ethers.formatUnits(stakeWei, stablecoin.decimals)} ${stablecoin.symbol}...`);
+                    const txApprove = await signerPool.sendTransaction(chain, {
+                        to: stablecoin.address,
+                        data: token.interface.encodeFunctionData('approve', [spender, stakeWei])
+                    }, { label: 'approve', onReplacement });
+                    await txApprove.wait();
+                    allowanceManager.setCachedAllowance(fetcher, stakeWei);
+                    timer.lap('approve');
+                }
+
+                // Exact calldata with the protocol's own slippage protection (quote, minOdds...)
+                const betTx = await fetcher.buildBetTx(leg, { provider, maxOddsDrop: this._maxOddsDrop(arbitrageResult, leg) });
+                // Protocol-specific gas overrides (e.g. priority boost on Arbitrum), on top of the cached fee data
+                const txOptions = fetcher.getTxOverrides ? await fetcher.getTxOverrides(provider, signerPool.getFeeData(chain)) : {};
+                // The bet was already estimated by estimateLegGas: skip the second eth_estimateGas round trip
+                if (leg.gas && leg.gas.estimated && leg.gas.betGasLimit) {
+                    txOptions.gasLimit = BigInt(leg.gas.betGasLimit) * GAS_LIMIT_BUFFER_BPS / 10000n;
+                }
+                timer.lap('build');
+
+                logger.info(`[${network}] Broadcasting ${leg.bookie.toUpperCase()} Trade...`);
+                const tx = await signerPool.sendTransaction(chain, { ...betTx, ...txOptions }, { label: 'bet', onReplacement });
+                allowanceManager.consume(fetcher, stakeWei);
+                timer.lap('broadcast');
+                const sinceDetection = arbitrageResult.detectedAt ? ` | ${Date.now() - arbitrageResult.detectedAt}ms after detection` : '';
+                logger.info(`[${network}] 📤 ${leg.bookie.toUpperCase()} bet sent (nonce ${tx.nonce})${sinceDetection}. Hash: ${tx.hash}`);
+                // Lets reconcilePendingLegs find the bet on-chain if the process dies before the receipt
+                if (ledgerLeg) betLedger.updateLeg(ledgerLeg.legId, { txHash: tx.hash, nonce: tx.nonce });
+
+                const receipt = await tx.wait();
+                timer.lap('confirm');
+                logger.info(`[${network}] ✅ Trade confirmed! Hash: ${receipt.hash}`);
+                logger.info(`[Latency] ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}] ${timer.summary()}`);
+
+                return this._buildLegResult(leg, receipt);
+            } catch (error) {
+                logger.error(`[${network}] ${leg.bookie.toUpperCase()} TX failed: ${error.message}`);
+                logger.info(`[Latency] ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}] ${timer.summary()} (failed)`);
+                return { bookie: leg.bookie, outcomeIndex: leg.outcomeIndex, status: 'failed', error: error.shortMessage || error.message };
+            }
+        });
 
         logger.info("[Execution] Broadcasting parallel transactions to Validators...");
-        await Promise.allSettled(promises);
+        const legResults = await Promise.all(promises);
         logger.info("[Execution] ✅ Broadcast Sequence Complete!");
+        return legResults;
+    }
+
+    /**
+     * Startup check of the legs a crash left PENDING (process stopped between broadcast and receipt).
+     * Each one is looked up on-chain by its bet transaction or a recorded replacement of it: a mined bet
+     * is registered for claiming, a reverted or cancelled one is closed as FAILED. Legs without any
+     * receipt to go by stay PENDING and are reported for operator attention.
+     * @param {Object<string, ethers.Provider>} [providers] - chain -> provider
+     * @returns {Promise<object[]>} The legs left unresolved
+     */
+    async reconcilePendingLegs(providers = providerManager.getProviders(fetcherRegistry.chains())) {
+        const pending = betLedger.getOpenLegs().filter(leg => leg.state === LEG_STATES.PENDING);
+        const unresolved = [];
+
+        for (const leg of pending) {
+            if (leg.paper) {
+                // A simulation never puts anything at stake
+                betLedger.updateLeg(leg.legId, { state: LEG_STATES.FAILED, error: 'Interrupted before the paper fill was recorded' });
+                continue;
+            }
+
+            let found = null;
+            try {
+                found = await this._findBetReceipt(leg, providers[leg.chain]);
+            } catch (error) {
+                logger.warn(`[Execution] Could not look pending leg ${leg.legId} up on-chain: ${error.message}`);
+            }
+
+            if (!found) {
+                unresolved.push(leg);
+            } else if (found.cancelled || found.receipt.status !== 1) {
+                const error = found.cancelled
+                    ? `Bet cancelled after being stuck. Cancel tx: ${found.receipt.hash}`
+                    : `Bet reverted on-chain. Hash: ${found.receipt.hash}`;
+                betLedger.updateLeg(leg.legId, { state: LEG_STATES.FAILED, error });
+            } else {
+                const claimEngine = require('./ClaimEngine');
+                const { status, bookie, outcomeIndex, ...receiptData } = this._buildLegResult({ ...leg, rawOdd: leg.odds }, found.receipt);
+                claimEngine.registerBetForClaiming({ legId: leg.legId, ...receiptData });
+            }
+        }
+
+        if (pending.length > 0) {
+            logger.info(`[Execution] Reconciled ${pending.length - unresolved.length}/${pending.length} leg(s) left PENDING by a previous run.`);
+        }
+        for (const leg of unresolved) {
+            const reason = leg.txHash ? `no receipt for ${leg.txHash} (nonce ${leg.nonce})` : 'no bet transaction recorded';
+            logger.warn(`[Execution] 🚨 Leg ${leg.legId} (${leg.bookie.toUpperCase()} ${leg.matchId}, $${leg.stake}) still PENDING: ${reason}. Operator attention required!`);
+        }
+
+        return unresolved;
+    }
+
+    /**
+     * Receipt of a leg's bet, trying its latest recorded replacement first.
+     * @returns {Promise<{ receipt: object, cancelled: boolean }|null>} null when nothing was mined
+     */
+    async _findBetReceipt(leg, provider) {
+        if (!provider) throw new Error(`No provider for chain ${leg.chain}`);
+
+        const candidates = (leg.replacements || [])
+            .filter(replacement => replacement.tx === 'bet')
+            .reverse()
+            .map(replacement => ({ hash: replacement.hash, cancelled: replacement.kind === 'cancel' }));
+        if (leg.txHash) candidates.push({ hash: leg.txHash, cancelled: false });
+
+        for (const { hash, cancelled } of candidates) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) return { receipt, cancelled };
+        }
+        return null;
+    }
+
+    /**
+     * Extracts the on-chain identifiers of a confirmed leg from its receipt.
+     * Decodes Azuro `NewBet` (bet token id, odds) or Overtime `BoughtFromAmm` (position amount bought).
+     */
+    _buildLegResult(leg, receipt) {
+        const result = {
+            bookie: leg.bookie,
+            outcomeIndex: leg.outcomeIndex,
+            status: 'filled',
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: (receipt.gasPrice || 0n).toString(),
+            betId: null,
+            fillOdds: leg.rawOdd
+        };
+
+        const betEvents = new ethers.Interface(BET_EVENTS_ABI);
+        for (const log of receipt.logs) {
+            let parsed;
+            try {
+                parsed = betEvents.parseLog(log);
+            } catch (e) {
+                continue; // Token transfers and other unrelated logs
+            }
+            if (!parsed) continue;
+
+            if (parsed.name === 'NewBet') {
+                result.betId = parsed.args.tokenId.toString();
+                result.fillOdds = parseFloat(ethers.formatUnits(parsed.args.odds, AZURO_ODDS_DECIMALS));
+            } else if (parsed.name === 'BoughtFromAmm') {
+                // Overtime positions are fungible per market: identify them by market + position
+                result.betId = `${parsed.args.market}:${parsed.args.position}`;
+                const paid = parseFloat(ethers.formatUnits(parsed.args.sUSDPaid, 6));
+                const positions = parseFloat(ethers.formatUnits(parsed.args.amount, 6));
+                if (paid > 0) result.fillOdds = positions / paid;
+            }
+        }
+
+        if (!result.betId) {
+            logger.warn(`[Execution] Could not decode a bet id from receipt ${receipt.hash}. Leg tracked by tx hash only.`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Allowance of the fetcher's spender: the AllowanceManager's cached value when it covers the stake
+     * (no round trip), the on-chain value otherwise.
+     * @returns {Promise<bigint>}
+     */
+    async _readAllowance(fetcher, token, owner, stakeWei) {
+        const cached = allowanceManager.getCachedAllowance(fetcher);
+        if (cached !== null && cached >= stakeWei) return cached;
+        return token.allowance(owner, fetcher.spender);
+    }
+
+    /**
+     * Address transactions are sent (or simulated) from.
+     * A real address is only needed so simulations run with our balances/allowances.
+     */
+    _senderAddress() {
+        return signerPool.address || process.env.DRY_RUN_ADDRESS || ethers.ZeroAddress;
+    }
+
+    /**
+     * @returns {string[]} Distinct chains the legs of an arbitrage settle on
+     */
+    _legChains(arbitrageResult) {
+        return [...new Set(arbitrageResult.legs
+            .filter(leg => fetcherRegistry.has(leg.bookie))
+            .map(leg => fetcherRegistry.get(leg.bookie).chain))];
+    }
+
+    /**
+     * DRY_RUN counterpart of broadcastLegs: builds the exact same calldata, simulates it with
+     * eth_call / estimateGas against the configured RPCs and never signs anything.
+     * @returns {Promise<object[]>} One simulated fill per leg
+     */
+    async simulateLegs(arbitrageResult, providers) {
+        const from = this._senderAddress();
+
+        logger.info("=========================================");
+        logger.info(`📝 EXECUTION ENGINE TRIGGERED (DRY RUN) 📝`);
+        logger.info("=========================================");
+
+        const simulations = arbitrageResult.legs.map(async (leg) => {
+            const simulation = { success: false, gasEstimate: null, error: null };
+
+            try {
+                const fetcher = fetcherRegistry.get(leg.bookie);
+                const provider = providers[fetcher.chain];
+                const betTx = await fetcher.buildBetTx(leg, { provider, maxOddsDrop: this._maxOddsDrop(arbitrageResult, leg) });
+
+                simulation.calldata = betTx.data;
+                await provider.call({ ...betTx, from });
+                simulation.gasEstimate = (await provider.estimateGas({ ...betTx, from })).toString();
+                simulation.success = true;
+                logger.info(`[Dry Run] ✅ ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}] simulation passed (gas ~${simulation.gasEstimate}).`);
+            } catch (error) {
+                // Expected without funds/allowances on the simulated address; the paper fill is still recorded
+                simulation.error = error.shortMessage || error.message;
+                logger.warn(`[Dry Run] ⚠️ ${leg.bookie.toUpperCase()} [Outcome ${leg.outcomeIndex}] simulation reverted: ${simulation.error}`);
+            }
+
+            return { bookie: leg.bookie, outcomeIndex: leg.outcomeIndex, status: 'simulated', stake: leg.stake, fillOdds: leg.rawOdd, simulation };
+        });
+
+        const fills = await Promise.all(simulations);
+        logger.info("[Dry Run] ✅ Simulation Sequence Complete! No transaction was signed.");
+        return fills;
+    }
+
+    /**
+     * Largest relative drop of this leg's odd it may fill at. The slack is the net profit (gas and the
+     * claim already deducted) over the equal payout, and the legs share it in proportion to their stake:
+     * even when every leg fills at its floor together, whichever outcome wins still breaks even.
+     * A leg carrying its own `maxOddsDrop` (hedge legs, see HedgeManager) keeps it.
+     * @returns {number} Fraction in [0, 1)
+     */
+    _maxOddsDrop(arbitrageResult, leg) {
+        if (leg.maxOddsDrop !== undefined) return leg.maxOddsDrop;
+        const legs = arbitrageResult.legs || [];
+        const totalStake = legs.reduce((sum, l) => sum + l.stake, 0);
+        if (!(leg.stake > 0) || !(totalStake > 0) || legs.some(l => !(l.effOdd > 0))) return 0;
+
+        // Stakes are split for an equal payout; the smallest one is what the slack must protect
+        const payout = Math.min(...legs.map(l => l.stake * l.effOdd));
+        const slack = (payout - totalStake - (arbitrageResult.gasCosts || 0)) / payout;
+        if (!(slack > 0)) return 0;
+
+        return slack * (leg.stake / totalStake);
+    }
+}
+
+/**
+ * Per-step stopwatch of one leg: `lap(step)` records the time since the previous lap.
+ */
+class StepTimer {
+    constructor() {
+        this.start = Date.now();
+        this.last = this.start;
+        this.steps = [];
+    }
+
+    lap(step) {
+        const now = Date.now();
+        this.steps.push(`${step} ${now - this.last}ms`);
+        this.last = now;
     }
 
-    simulateDelay(bookie) {
-        return new Promise(resolve => setTimeout(() => {
-            logger.info(`[Network] TX accepted by ${bookie.toUpperCase()}`);
-            resolve();
-        }, 800));
+    summary() {
+        return `${this.steps.join(' | ') || 'no step'} | total ${Date.now() - this.start}ms`;
     }
 }
 
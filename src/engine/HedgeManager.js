@@ -0,0 +1,200 @@
+const { logger } = require('./ArbitrageEngine');
+const betLedger = require('../storage/BetLedger');
+const { LEG_STATES } = require('../storage/BetLedger');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+
+// Re-quotes of the chosen protocol until the quoted stake and the stake sent agree
+const MAX_REQUOTES = 3;
+const STAKE_CONVERGENCE = 0.005;
+
+/**
+ * Hedge Manager
+ * Recovers from partial fills: when some legs of a surebet confirm and others revert,
+ * the bot is left holding a directional bet. This module re-quotes the missing outcome(s)
+ * on every protocol and either completes the hedge within HEDGE_MAX_LOSS_USD (.env)
+ * or flags the position as naked exposure. Every attempt is recorded in the Bet Ledger.
+ * All payouts are priced on commission-adjusted odds, like the arbitrage itself.
+ */
+class HedgeManager {
+    constructor() {
+        this.enabled = process.env.HEDGE_ENABLED !== 'false';
+        this.maxLossUsd = parseFloat(process.env.HEDGE_MAX_LOSS_USD || "5");
+    }
+
+    /**
+     * Entry hook from ExecutionEngine when only part of the legs filled.
+     * @param {object} arbitrageResult - The original surebet (with `events` and `outcomeMap` attached by index.js)
+     * @param {object[]} legResults - Output of broadcastLegs, in leg order
+     * @param {object} ledgerRecord - The arbitrage record stored in the Bet Ledger
+     * @returns {Promise<object>} The recovery record written to the ledger
+     */
+    async recoverPartialFill(arbitrageResult, legResults, ledgerRecord) {
+        const filledLegs = arbitrageResult.legs.filter((leg, i) => legResults[i].status === 'filled');
+        const missingLegs = arbitrageResult.legs.filter((leg, i) => legResults[i].status !== 'filled');
+
+        logger.warn(`[Hedge] ⚠️ One-legged fill on ${arbitrageResult.matchId}: ${filledLegs.length} filled, ${missingLegs.length} missing. Starting recovery...`);
+
+        const recovery = {
+            filledOutcomes: filledLegs.map(l => l.label || l.outcomeIndex),
+            missingOutcomes: missingLegs.map(l => l.label || l.outcomeIndex),
+            action: null,
+            reason: null
+        };
+
+        if (!this.enabled) {
+            return this._flagNakedExposure(ledgerRecord, recovery, "Hedging disabled (HEDGE_ENABLED=false)");
+        }
+
+        try {
+            // Payout (commission deducted) we are guaranteed to collect if one of the filled outcomes wins
+            const filledPayouts = filledLegs.map((leg) => {
+                const result = legResults[arbitrageResult.legs.indexOf(leg)];
+                return leg.stake * (result.fillOdds || leg.rawOdd) * (1 - this._commission(leg.bookie));
+            });
+            const targetPayout = Math.min(...filledPayouts);
+            const filledStake = filledLegs.reduce((sum, leg) => sum + leg.stake, 0);
+
+            // Re-quote every missing outcome on every protocol of the event and keep the best price,
+            // then re-quote it at the exact stake that will be sent
+            const hedgeLegs = [];
+            for (const missing of missingLegs) {
+                const hedge = await this._quoteHedge(arbitrageResult, missing, targetPayout);
+                if (!hedge) {
+                    return this._flagNakedExposure(ledgerRecord, recovery, `No live quote for outcome ${missing.label || missing.outcomeIndex}`);
+                }
+
+                const { quote, stake } = hedge;
+                hedgeLegs.push({
+                    bookie: quote.bookie,
+                    matchId: quote.matchId,
+                    outcomeIndex: quote.outcomeIndex,
+                    canonicalIndex: missing.canonicalIndex,
+                    label: missing.label,
+                    rawOdd: quote.odd,
+                    effOdd: quote.effOdd,
+                    stake
+                });
+            }
+
+            // Worst case once hedged: the smallest payout of any outcome, minus everything staked
+            const hedgeStake = hedgeLegs.reduce((sum, leg) => sum + leg.stake, 0);
+            const payouts = [...filledPayouts, ...hedgeLegs.map(leg => leg.stake * leg.effOdd)];
+            const worstCasePnl = Math.min(...payouts) - filledStake - hedgeStake;
+            recovery.hedgeLegs = hedgeLegs.map(l => ({ bookie: l.bookie, outcomeIndex: l.outcomeIndex, label: l.label, stake: l.stake, odds: l.rawOdd }));
+            recovery.worstCasePnl = worstCasePnl;
+
+            if (worstCasePnl < -this.maxLossUsd) {
+                return this._flagNakedExposure(ledgerRecord, recovery, `Hedge would lock a $${(-worstCasePnl).toFixed(2)} loss (max $${this.maxLossUsd.toFixed(2)})`);
+            }
+
+            // Slippage allowed on the hedge: only what is left of the loss budget, shared by stake.
+            // The surebet margin of the original arbitrage no longer applies.
+            const lossBudget = worstCasePnl + this.maxLossUsd;
+            for (const leg of hedgeLegs) {
+                leg.maxOddsDrop = Math.max(0, lossBudget * (leg.stake / hedgeStake) / (leg.stake * leg.effOdd));
+            }
+
+            logger.info(`[Hedge] Completing hedge with ${hedgeLegs.length} leg(s), worst-case P&L $${worstCasePnl.toFixed(2)}...`);
+
+            // Hedge legs are persisted before broadcasting, like the original legs
+            const hedgeRecords = hedgeLegs.map(leg => betLedger.appendLeg(ledgerRecord.arbId, leg, { hedge: true }));
+
+            const executionEngine = require('./ExecutionEngine');
+            const hedgeResults = await executionEngine.broadcastLegs({ ...arbitrageResult, legs: hedgeLegs }, hedgeRecords);
+
+            const claimEngine = require('./ClaimEngine');
+            hedgeResults.forEach((legResult, i) => {
+                const { legId } = hedgeRecords[i];
+                if (legResult.status === 'filled') {
+                    const { status, bookie, outcomeIndex, ...receiptData } = legResult;
+                    claimEngine.registerBetForClaiming({ legId, ...receiptData });
+                } else {
+                    betLedger.updateLeg(legId, { state: LEG_STATES.FAILED, error: legResult.error });
+                }
+            });
+
+            if (hedgeResults.some(r => r.status !== 'filled')) {
+                return this._flagNakedExposure(ledgerRecord, recovery, "Hedge leg(s) failed to fill");
+            }
+
+            recovery.action = 'hedged';
+            logger.info(`[Hedge] ✅ Exposure on ${arbitrageResult.matchId} fully hedged.`);
+            return betLedger.recordRecovery(ledgerRecord.arbId, recovery);
+        } catch (error) {
+            return this._flagNakedExposure(ledgerRecord, recovery, `Recovery error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Best protocol for a missing outcome, re-quoted at the stake that pays `targetPayout` until the
+     * quoted stake and that stake agree (AMM odds depend on the stake).
+     * @returns {Promise<{ quote: object, stake: number }|null>} `stake` is the stake `quote` was taken at
+     */
+    async _quoteHedge(arbitrageResult, missing, targetPayout) {
+        const missingEffOdd = missing.effOdd || missing.rawOdd * (1 - this._commission(missing.bookie));
+        let quote = await this._bestQuote(arbitrageResult, missing.canonicalIndex, targetPayout / missingEffOdd);
+        if (!quote) return null;
+
+        const event = arbitrageResult.events[quote.bookie];
+        const fetcher = fetcherRegistry.get(quote.bookie);
+        let stake = targetPayout / quote.effOdd;
+
+        for (let round = 0; round < MAX_REQUOTES; round++) {
+            const quotedStake = Number(stake.toFixed(6));
+            const odd = await fetcher.quoteOutcome(event, quote.outcomeIndex, quotedStake);
+            if (!(odd > 0)) return null;
+
+            quote = { ...quote, odd, effOdd: odd * (1 - this._commission(quote.bookie)) };
+            stake = targetPayout / quote.effOdd;
+            // Not converged after the last round: the stake of the last quote is sent, and its
+            // (slightly off-target) payout is what the worst case accounts for
+            if (Math.abs(stake - quotedStake) / quotedStake < STAKE_CONVERGENCE || round === MAX_REQUOTES - 1) {
+                return { quote, stake: quotedStake };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Queries every protocol of the event for the live odd of one outcome and returns the best one
+     * (highest commission-adjusted odd).
+     * The outcome is given by its canonical index; `outcomeMap` (see utils/outcomeMapping)
+     * translates it to each protocol's native outcome (Azuro outcome id, Overtime position...).
+     */
+    async _bestQuote(arbitrageResult, canonicalIndex, indicativeStake) {
+        const events = arbitrageResult.events || {};
+        const { nativeIds } = arbitrageResult.outcomeMap;
+        const quotes = [];
+
+        for (const [protocol, outcomeIds] of Object.entries(nativeIds)) {
+            if (!events[protocol] || !fetcherRegistry.has(protocol)) continue;
+
+            try {
+                const fetcher = fetcherRegistry.get(protocol);
+                const odd = await fetcher.quoteOutcome(events[protocol], outcomeIds[canonicalIndex], Number(indicativeStake.toFixed(6)));
+                if (odd > 0) {
+                    const effOdd = odd * (1 - this._commission(protocol));
+                    quotes.push({ bookie: protocol, matchId: events[protocol].id, outcomeIndex: outcomeIds[canonicalIndex], odd, effOdd });
+                }
+            } catch (e) {
+                logger.warn(`[Hedge] ${protocol} re-quote failed: ${e.message}`);
+            }
+        }
+
+        if (quotes.length === 0) return null;
+        return quotes.reduce((best, q) => (q.effOdd > best.effOdd ? q : best));
+    }
+
+    _commission(protocol) {
+        return fetcherRegistry.has(protocol) ? (fetcherRegistry.get(protocol).commission || 0) : 0;
+    }
+
+    _flagNakedExposure(ledgerRecord, recovery, reason) {
+        recovery.action = 'naked';
+        recovery.reason = reason;
+        logger.error(`[Hedge] 🚨 NAKED EXPOSURE on ${ledgerRecord.matchId} (${ledgerRecord.eventName || 'unknown event'}): ${reason}. Manual action required!`);
+        return betLedger.recordRecovery(ledgerRecord.arbId, recovery);
+    }
+}
+
+module.exports = new HedgeManager();
@@ -0,0 +1,262 @@
+const { ethers } = require('ethers');
+const { logger } = require('./ArbitrageEngine');
+
+/**
+ * Nonce Manager
+ * Single allocator of nonces per chain for the bot's key: approvals, bets (ExecutionEngine,
+ * HedgeManager) and claims (ClaimEngine) all draw from the same counter, so parallel
+ * transactions never collide. Every transaction is tracked until one of its versions is mined:
+ * past STUCK_TX_MS without a receipt it is re-sent with the same nonce and bumped fees
+ * (speed-up), and after STUCK_TX_MAX_SPEEDUPS speed-ups it is cancelled with a 0-value
+ * transfer to ourselves, so a single stuck transaction cannot block every later one.
+ * A wait gives up when the nonce is consumed by a transaction it does not know, or after TX_WAIT_TIMEOUT_MS.
+ */
+class NonceManager {
+    constructor() {
+        this.chains = new Map(); // chain -> { next, syncing }
+        this.settings = {
+            pollMs: parseInt(process.env.TX_POLL_MS || "2000"),
+            stuckMs: parseInt(process.env.STUCK_TX_MS || "60000"),
+            maxSpeedUps: parseInt(process.env.STUCK_TX_MAX_SPEEDUPS || "3"),
+            feeBumpPct: BigInt(parseInt(process.env.STUCK_TX_FEE_BUMP_PCT || "15")),
+            waitTimeoutMs: parseInt(process.env.TX_WAIT_TIMEOUT_MS || "900000")
+        };
+    }
+
+    /**
+     * Re-reads the next nonce from the node (pending block, so our own mempool transactions count).
+     * @returns {Promise<number>}
+     */
+    async sync(chain, provider, address) {
+        const state = this._state(chain);
+        // Concurrent callers share one eth_getTransactionCount
+        state.syncing = state.syncing || provider.getTransactionCount(address, 'pending')
+            .then((nonce) => { state.next = nonce; return nonce; })
+            .finally(() => { state.syncing = null; });
+        return state.syncing;
+    }
+
+    /**
+     * Hands out the next nonce of the chain. Only hits the node when the counter is not synced.
+     * @returns {Promise<number>}
+     */
+    async reserve(chain, provider, address) {
+        const state = this._state(chain);
+        if (state.next === null) await this.sync(chain, provider, address);
+        return state.next++;
+    }
+
+    /**
+     * Next nonce that will be handed out, null when not synced yet.
+     */
+    peek(chain) {
+        return this._state(chain).next;
+    }
+
+    /**
+     * Gives back a nonce whose transaction never reached the mempool.
+     * The counter is rolled back when nothing was handed out since; otherwise the gap is filled with
+     * a 0-value transfer so the later transactions are not blocked behind it.
+     * @param {string} chain
+     * @param {ethers.Wallet} wallet
+     * @param {object} request - The populated transaction that failed to broadcast
+     * @param {Error} error
+     */
+    async release(chain, wallet, request, error) {
+        const state = this._state(chain);
+
+        if (ethers.isError(error, 'NONCE_EXPIRED') || ethers.isError(error, 'REPLACEMENT_UNDERPRICED')) {
+            // The nonce is already used on-chain: our counter is behind the node
+            state.next = null;
+            return;
+        }
+        if (state.next === request.nonce + 1) {
+            state.next = request.nonce;
+            return;
+        }
+
+        logger.warn(`[Nonce Manager] ${chain} nonce ${request.nonce} left a gap. Filling it with a 0-value transfer...`);
+        try {
+            const fillerRequest = this._cancelRequest(request, request, wallet.address);
+            const filler = await wallet.sendTransaction(fillerRequest);
+            this.track(chain, wallet, fillerRequest, filler, { label: 'gap filler' }).wait()
+                .catch(e => logger.warn(`[Nonce Manager] ${chain} gap filler for nonce ${request.nonce}: ${e.message}`));
+        } catch (e) {
+            logger.error(`[Nonce Manager] ${chain} could not fill nonce ${request.nonce}: ${e.shortMessage || e.message}. Re-syncing.`);
+            state.next = null;
+        }
+    }
+
+    /**
+     * Starts tracking a broadcast transaction.
+     * @param {string} chain
+     * @param {ethers.Wallet} wallet
+     * @param {object} request - The populated transaction (nonce, chainId and fee fields set)
+     * @param {ethers.TransactionResponse} response
+     * @param {object} [options]
+     * @param {string} [options.label] - For logs ('approve', 'bet', 'claim'...)
+     * @param {function(object)} [options.onReplacement] - Called with every speed-up / cancellation sent
+     * @returns {object} { chain, nonce, hash, hashes, wait() } - wait() resolves with the receipt of
+     *   whichever version was mined, and rejects when the transaction reverted, was cancelled, lost its
+     *   nonce to an unknown transaction (TRANSACTION_REPLACED) or is still unmined after TX_WAIT_TIMEOUT_MS
+     */
+    track(chain, wallet, request, response, { label = 'tx', onReplacement = null } = {}) {
+        const tracked = {
+            chain,
+            label,
+            nonce: response.nonce,
+            hash: response.hash,
+            hashes: [response.hash],
+            cancelHashes: new Set(),
+            request: { ...request, gasLimit: response.gasLimit },
+            wallet,
+            onReplacement,
+            speedUps: 0,
+            lastSentAt: Date.now()
+        };
+        tracked.wait = () => this._waitForReceipt(tracked);
+        return tracked;
+    }
+
+    async _waitForReceipt(tracked) {
+        const provider = tracked.wallet.provider;
+        const deadline = Date.now() + this.settings.waitTimeoutMs;
+        let consumedPolls = 0;
+
+        for (;;) {
+            for (const hash of tracked.hashes) {
+                const receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+                if (!receipt) continue;
+
+                if (tracked.cancelHashes.has(receipt.hash)) {
+                    throw new Error(`${tracked.label} transaction (nonce ${tracked.nonce}) was cancelled after being stuck. Cancel tx: ${receipt.hash}`);
+                }
+                if (receipt.status === 0) {
+                    throw new Error(`${tracked.label} transaction reverted on-chain. Hash: ${receipt.hash}`);
+                }
+                return receipt;
+            }
+
+            // Nonce mined but none of our versions has a receipt: after one more poll (receipt indexing lag),
+            // it was consumed by another transaction from the same key
+            const minedNonce = await provider.getTransactionCount(tracked.wallet.address, 'latest').catch(() => null);
+            consumedPolls = minedNonce !== null && minedNonce > tracked.nonce ? consumedPolls + 1 : 0;
+            if (consumedPolls > 1) {
+                throw ethers.makeError(`${tracked.label} nonce ${tracked.nonce} consumed by another transaction`, 'TRANSACTION_REPLACED', {
+                    cancelled: true,
+                    reason: 'replaced',
+                    hash: tracked.hashes[tracked.hashes.length - 1],
+                    replacement: null,
+                    receipt: null
+                });
+            }
+
+            if (Date.now() > deadline) {
+                throw ethers.makeError(`${tracked.label} transaction (nonce ${tracked.nonce}) not mined after ${this.settings.waitTimeoutMs / 1000}s`, 'TIMEOUT', {
+                    operation: 'wait'
+                });
+            }
+
+            if (consumedPolls === 0 && Date.now() - tracked.lastSentAt > this.settings.stuckMs) {
+                await this._replace(tracked);
+            }
+            await sleep(this.settings.pollMs);
+        }
+    }
+
+    /**
+     * Re-sends a stuck transaction with the same nonce and bumped fees: the same call while speed-ups
+     * are left, a 0-value transfer to ourselves after that.
+     */
+    async _replace(tracked) {
+        const { chain, wallet, nonce } = tracked;
+        tracked.lastSentAt = Date.now();
+
+        // Mined in the meantime (by any version): the receipt loop will pick it up
+        const minedNonce = await wallet.provider.getTransactionCount(wallet.address, 'latest').catch(() => null);
+        if (minedNonce !== null && minedNonce > nonce) return;
+
+        const cancel = tracked.speedUps >= this.settings.maxSpeedUps;
+        const feeData = await wallet.provider.getFeeData().catch(() => null);
+        const bumped = this._bumpFees(tracked.request, feeData);
+        const request = cancel ? this._cancelRequest(tracked.request, bumped, wallet.address) : { ...tracked.request, ...bumped };
+
+        try {
+            const response = await wallet.sendTransaction(request);
+            const replacedHash = tracked.hashes[tracked.hashes.length - 1];
+            tracked.hashes.push(response.hash);
+            tracked.request = request;
+            if (cancel) {
+                tracked.cancelHashes.add(response.hash);
+            } else {
+                tracked.speedUps++;
+            }
+
+            const kind = cancel ? 'cancel' : 'speed-up';
+            const fees = feeSummary(request);
+            logger.warn(`[Nonce Manager] ⏫ ${chain} ${tracked.label} nonce ${nonce} stuck for ${Math.round(this.settings.stuckMs / 1000)}s: ${kind} sent (${fees}). ${replacedHash} -> ${response.hash}`);
+
+            if (tracked.onReplacement) {
+                tracked.onReplacement({ kind, tx: tracked.label, nonce, replacedHash, hash: response.hash, fees, ts: new Date().toISOString() });
+            }
+        } catch (error) {
+            // "nonce too low": a previous version was just mined. Anything else is retried on the next stuck tick.
+            logger.warn(`[Nonce Manager] ${chain} ${tracked.label} nonce ${nonce} replacement failed: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * Fees of a replacement: at least the node's bump rule on top of the previous version, and never
+     * below the current network fees.
+     */
+    _bumpFees(request, feeData) {
+        const bump = (value, current) => {
+            const bumped = (value || 0n) * (100n + this.settings.feeBumpPct) / 100n;
+            return current != null && current > bumped ? current : bumped;
+        };
+
+        if (request.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: bump(request.maxFeePerGas, feeData && feeData.maxFeePerGas),
+                maxPriorityFeePerGas: bump(request.maxPriorityFeePerGas, feeData && feeData.maxPriorityFeePerGas)
+            };
+        }
+        return { gasPrice: bump(request.gasPrice, feeData && feeData.gasPrice) };
+    }
+
+    _cancelRequest(request, fees, address) {
+        return {
+            type: request.type,
+            chainId: request.chainId,
+            nonce: request.nonce,
+            to: address,
+            value: 0n,
+            data: '0x',
+            gasLimit: 21000n,
+            ...pickFees(fees)
+        };
+    }
+
+    _state(chain) {
+        if (!this.chains.has(chain)) this.chains.set(chain, { next: null, syncing: null });
+        return this.chains.get(chain);
+    }
+}
+
+function pickFees(tx) {
+    return tx.maxFeePerGas != null
+        ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+        : { gasPrice: tx.gasPrice };
+}
+
+function feeSummary(tx) {
+    return tx.maxFeePerGas != null
+        ? `maxFee ${ethers.formatUnits(tx.maxFeePerGas, 'gwei')} gwei, tip ${ethers.formatUnits(tx.maxPriorityFeePerGas, 'gwei')} gwei`
+        : `gasPrice ${ethers.formatUnits(tx.gasPrice, 'gwei')} gwei`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = new NonceManager();
@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const { logger } = require('./ArbitrageEngine');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+/**
+ * Preflight Checker
+ * Runs BEFORE any leg is sent: stablecoin balances, native gas balances, allowances
+ * and market open status on every chain the arbitrage touches. If one leg cannot be
+ * funded the whole arbitrage is aborted, or (PREFLIGHT_SCALE_STAKES=true) every stake
+ * is scaled down by the same factor so the surebet ratio is preserved.
+ */
+class PreflightChecker {
+    constructor() {
+        this.scaleStakes = process.env.PREFLIGHT_SCALE_STAKES === 'true';
+        this.minScale = parseFloat(process.env.PREFLIGHT_MIN_SCALE || "0.25");
+
+        // Minimum native balance kept for gas (approve + bet + later claim)
+        this.minNativeBalance = {
+            polygon: process.env.MIN_NATIVE_GAS_POLYGON || "0.5",
+            arbitrum: process.env.MIN_NATIVE_GAS_ARBITRUM || "0.002",
+            bsc: process.env.MIN_NATIVE_GAS_BSC || "0.005"
+        };
+    }
+
+    /**
+     * @param {object} arbitrageResult - Legs are scaled in place when stakes are reduced
+     * @param {string} walletAddress
+     * @param {Object<string, ethers.Provider>} providers - chain -> provider
+     * @returns {Promise<{ ok: boolean, reason?: string, scale: number }>}
+     */
+    async run(arbitrageResult, walletAddress, providers) {
+        // 1. Markets must still be open on every protocol
+        for (const leg of arbitrageResult.legs) {
+            const closedReason = await this._checkMarketOpen(leg, providers);
+            if (closedReason) {
+                return this._abort(`${leg.bookie.toUpperCase()} market ${leg.matchId} is ${closedReason}`);
+            }
+        }
+
+        // 2. Stake required per protocol (each protocol has its own stablecoin and spender)
+        const required = {};
+        for (const leg of arbitrageResult.legs) {
+            required[leg.bookie] = (required[leg.bookie] || 0) + leg.stake;
+        }
+
+        // 3. Balances, gas and allowances on each chain
+        let scale = 1;
+        for (const [bookie, stake] of Object.entries(required)) {
+            const fetcher = fetcherRegistry.get(bookie);
+            const { chain, stablecoin, spender } = fetcher;
+            const provider = providers[chain];
+            if (!provider) {
+                return this._abort(`No RPC provider for chain ${chain}`);
+            }
+
+            const token = new ethers.Contract(stablecoin.address, ERC20_ABI, provider);
+            const [balanceWei, allowanceWei, nativeWei] = await Promise.all([
+                token.balanceOf(walletAddress),
+                token.allowance(walletAddress, spender),
+                provider.getBalance(walletAddress)
+            ]);
+
+            const balance = parseFloat(ethers.formatUnits(balanceWei, stablecoin.decimals));
+            const allowance = parseFloat(ethers.formatUnits(allowanceWei, stablecoin.decimals));
+            const minNative = ethers.parseEther(this.minNativeBalance[chain] || "0");
+
+            logger.info(`[Preflight] ${chain}: balance $${balance.toFixed(2)} / required $${stake.toFixed(2)} | allowance $${allowance.toFixed(2)} | gas ${ethers.formatEther(nativeWei)}`);
+
+            if (nativeWei < minNative) {
+                return this._abort(`Native gas balance on ${chain} below ${this.minNativeBalance[chain]}`);
+            }
+
+            if (allowance < stake) {
+                // Not fatal: broadcastLegs approves inline, at the cost of one extra confirmation
+                // (the AllowanceManager normally pre-approves; see ALLOWANCE_POLICY)
+                logger.warn(`[Preflight] Allowance on ${chain} ($${allowance.toFixed(2)}) below stake. An approval will be sent first.`);
+            }
+
+            if (balance < stake) {
+                scale = Math.min(scale, balance / stake);
+            }
+        }
+
+        if (scale < 1) {
+            if (!this.scaleStakes) {
+                return this._abort(`Insufficient stablecoin balance (only ${(scale * 100).toFixed(1)}% of the stakes can be funded)`);
+            }
+            if (scale < this.minScale) {
+                return this._abort(`Fundable stake ratio ${(scale * 100).toFixed(1)}% below PREFLIGHT_MIN_SCALE`);
+            }
+            this._scaleStakes(arbitrageResult, scale);
+            if (arbitrageResult.minNetProfit <= 0) {
+                return this._abort(`Scaled-down stakes no longer cover gas costs`);
+            }
+            logger.warn(`[Preflight] ⚖️ Stakes scaled to ${(scale * 100).toFixed(1)}% to fit balances. New profit: $${arbitrageResult.minNetProfit.toFixed(2)}`);
+        }
+
+        logger.info(`[Preflight] ✅ All legs can be funded.`);
+        return { ok: true, scale };
+    }
+
+    /**
+     * @returns {Promise<string|null>} Reason the market is closed, or null if open
+     */
+    async _checkMarketOpen(leg, providers) {
+        const fetcher = fetcherRegistry.get(leg.bookie);
+        return fetcher.getMarketStatus(leg, providers[fetcher.chain]);
+    }
+
+    /**
+     * Scales every stake by the same factor (keeps the surebet ratio) and recomputes the net profit.
+     * Gas costs are fixed, so they are not scaled.
+     */
+    _scaleStakes(arbitrageResult, scale) {
+        for (const leg of arbitrageResult.legs) {
+            leg.stake = leg.stake * scale;
+        }
+
+        const gasCosts = arbitrageResult.gasCosts || 0;
+        const grossProfit = arbitrageResult.minNetProfit + gasCosts;
+        const totalInvestment = arbitrageResult.legs.reduce((sum, leg) => sum + leg.stake, 0);
+
+        arbitrageResult.minNetProfit = grossProfit * scale - gasCosts;
+        arbitrageResult.profitPercentage = (arbitrageResult.minNetProfit / totalInvestment) * 100;
+    }
+
+    _abort(reason) {
+        logger.warn(`[Preflight] ❌ Arbitrage aborted: ${reason}`);
+        return { ok: false, reason, scale: 0 };
+    }
+}
+
+module.exports = new PreflightChecker();
@@ -0,0 +1,127 @@
+const { logger } = require('./ArbitrageEngine');
+const fetcherRegistry = require('../fetchers/FetcherRegistry');
+
+/**
+ * Realtime Watcher
+ * Keeps one on-chain odds subscription per market of every matched cluster (fetchers exposing
+ * `subscribeToOddsUpdates`) and re-evaluates a cluster as soon as one of its markets moves,
+ * instead of waiting for the next discovery tick. `sync` is called once per discovery cycle with
+ * the current clusters: markets that appear are subscribed, markets that disappear are released.
+ */
+class RealtimeWatcher {
+    constructor() {
+        this.subscriptions = new Map(); // `${protocol}:${eventId}` -> { protocol, cluster, odds, unsubscribe }
+        this.running = new Set();       // cluster ids being re-evaluated
+        this.pending = new Map();       // cluster id -> subscription key updated again while being re-evaluated
+        this.onUpdate = null;
+    }
+
+    /**
+     * @param {object[]} clusters - Clusters to watch (from buildEventClusters)
+     * @param {function(object, object): Promise<void>} onUpdate - Re-evaluates one cluster, with the
+     *   odds received on its markets since they were subscribed ({ [protocol]: odds })
+     */
+    sync(clusters, onUpdate) {
+        this.onUpdate = onUpdate;
+
+        const wanted = new Map();
+        for (const cluster of clusters) {
+            for (const [protocol, event] of Object.entries(cluster.events)) {
+                wanted.set(`${protocol}:${event.id}`, { protocol, event, cluster });
+            }
+        }
+
+        for (const [key, subscription] of this.subscriptions) {
+            if (wanted.has(key)) continue;
+            subscription.unsubscribe();
+            this.subscriptions.delete(key);
+            logger.debug(`[Realtime] Unsubscribed ${key}`);
+        }
+
+        let added = 0;
+        for (const [key, { protocol, event, cluster }] of wanted) {
+            const existing = this.subscriptions.get(key);
+            if (existing) {
+                // Clusters are rebuilt every cycle: updates must reach the latest one
+                existing.cluster = cluster;
+                continue;
+            }
+
+            const fetcher = fetcherRegistry.get(protocol);
+            // Subscriptions need the protocol's WebSocket provider (the one behind its live quotes)
+            if (!fetcher.subscribeToOddsUpdates || !fetcher.hasLiveQuotes) continue;
+
+            const unsubscribe = fetcher.subscribeToOddsUpdates(event, odds => this._onOdds(key, odds));
+            if (!unsubscribe) continue;
+
+            this.subscriptions.set(key, { protocol, cluster, odds: null, unsubscribe });
+            added++;
+        }
+
+        if (added > 0) {
+            logger.info(`[Realtime] 📡 Watching ${this.subscriptions.size} market(s) (${added} new).`);
+        }
+    }
+
+    /**
+     * New odds decoded from an odds-change log, in the event's outcome order.
+     * They are kept on the subscription: the events are shared with the discovery cycle and stay untouched.
+     */
+    _onOdds(key, odds) {
+        const subscription = this.subscriptions.get(key);
+        if (!subscription || odds.length === 0) return;
+
+        const { protocol, cluster } = subscription;
+        const event = cluster.events[protocol];
+        const previous = subscription.odds || event.odds;
+        logger.info(`[Realtime] ⚡ ${protocol.toUpperCase()} odds moved on [${event.name}]: [${previous.join(', ')}] -> [${odds.join(', ')}]`);
+
+        subscription.odds = odds;
+        // Called from the fetcher's log listener: a failure must not surface as an unhandled rejection
+        this._evaluate(key).catch(error => logger.error(`[Realtime] Re-evaluation of ${key} failed: ${error.message}`));
+    }
+
+    /**
+     * Re-evaluates the cluster of a subscription; updates arriving meanwhile trigger a single extra run
+     * once it is done, on the latest cluster (clusters are rebuilt every discovery cycle).
+     */
+    async _evaluate(key) {
+        const subscription = this.subscriptions.get(key);
+        if (!subscription) return;
+
+        const { cluster } = subscription;
+        if (this.running.has(cluster.id)) {
+            this.pending.set(cluster.id, key);
+            return;
+        }
+
+        this.running.add(cluster.id);
+        try {
+            // The pre-screen of the re-evaluation runs on the freshest odds
+            await this.onUpdate(cluster, this._oddsOverride(cluster.id));
+        } catch (error) {
+            logger.error(`[Realtime] Re-evaluation of ${cluster.eventId} failed: ${error.message}`);
+        } finally {
+            this.running.delete(cluster.id);
+        }
+
+        const pendingKey = this.pending.get(cluster.id);
+        if (pendingKey) {
+            this.pending.delete(cluster.id);
+            await this._evaluate(pendingKey);
+        }
+    }
+
+    /**
+     * Odds received on the markets of a cluster, by protocol.
+     */
+    _oddsOverride(clusterId) {
+        const oddsOverride = {};
+        for (const { protocol, cluster, odds } of this.subscriptions.values()) {
+            if (odds && cluster.id === clusterId) oddsOverride[protocol] = odds;
+        }
+        return oddsOverride;
+    }
+}
+
+module.exports = new RealtimeWatcher();
@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+const { logger } = require('./ArbitrageEngine');
+const providerManager = require('../config/ProviderManager');
+const nonceManager = require('./NonceManager');
+
+/**
+ * Signer Pool
+ * One long-lived, pre-warmed signer per chain, shared by every engine that sends transactions.
+ * Warming caches the chain id, syncs the chain's NonceManager counter and the current fee data, so a
+ * trade only signs and broadcasts: fee data is refreshed in the background.
+ * Configured by SIGNER_FEE_REFRESH_MS (.env), defaults to 5000.
+ */
+class SignerPool {
+    constructor() {
+        this.privateKey = process.env.PRIVATE_KEY;
+        this.address = this.privateKey ? new ethers.Wallet(this.privateKey).address : null;
+        this.feeRefreshMs = parseInt(process.env.SIGNER_FEE_REFRESH_MS || "5000");
+
+        this.signers = new Map(); // chain -> { wallet, chainId, feeData, feeTs, warming }
+    }
+
+    /**
+     * Warms the signers of the given chains in parallel. Failures are logged, the signer is
+     * warmed again lazily on its first transaction.
+     * @param {string[]} chains
+     */
+    async warmUp(chains) {
+        if (!this.privateKey) return;
+
+        await Promise.all(chains.map(async (chain) => {
+            const start = Date.now();
+            try {
+                const signer = await this.get(chain);
+                const fees = signer.feeData.maxFeePerGas != null
+                    ? `maxFee ${ethers.formatUnits(signer.feeData.maxFeePerGas, 'gwei')} gwei`
+                    : `gasPrice ${ethers.formatUnits(signer.feeData.gasPrice || 0n, 'gwei')} gwei`;
+                logger.info(`[Signer Pool] 🔥 ${chain} signer warm in ${Date.now() - start}ms (chainId ${signer.chainId}, nonce ${nonceManager.peek(chain)}, ${fees}).`);
+            } catch (error) {
+                logger.warn(`[Signer Pool] ${chain} warm-up failed: ${error.shortMessage || error.message}. Retrying on first use.`);
+            }
+        }));
+    }
+
+    /**
+     * @param {string} chain
+     * @returns {Promise<object>} The warm signer of the chain ({ wallet, chainId, feeData })
+     */
+    async get(chain) {
+        if (!this.privateKey) throw new Error('PRIVATE_KEY is not set');
+
+        let signer = this.signers.get(chain);
+        if (!signer) {
+            const provider = providerManager.getProvider(chain);
+            if (!provider) throw new Error(`No RPC endpoint for ${chain}`);
+
+            signer = { wallet: new ethers.Wallet(this.privateKey, provider), chainId: null, feeData: null, feeTs: 0, warming: null };
+            this.signers.set(chain, signer);
+
+            const timer = setInterval(() => this._refreshFees(chain, signer).catch((error) => {
+                logger.debug(`[Signer Pool] ${chain} fee refresh failed: ${error.message}`);
+            }), this.feeRefreshMs);
+            timer.unref();
+        }
+
+        if (signer.chainId === null || nonceManager.peek(chain) === null || signer.feeData === null) {
+            // Concurrent legs on the same chain share one warm-up round trip
+            signer.warming = signer.warming || this._warm(chain, signer).finally(() => { signer.warming = null; });
+            await signer.warming;
+        }
+
+        return signer;
+    }
+
+    /**
+     * Fully-populated transaction ready to be signed: chain id, next nonce of the NonceManager and the cached
+     * fee fields are filled in, so ethers has nothing left to fetch before broadcasting.
+     * Explicit fields of `tx` (e.g. protocol gas overrides) win over the cached ones.
+     * @param {string} chain
+     * @param {object} tx - { to, data, value?, gasLimit?, ... }
+     * @returns {Promise<object>}
+     */
+    async populate(chain, tx) {
+        const signer = await this.get(chain);
+        if (Date.now() - signer.feeTs > 2 * this.feeRefreshMs) {
+            await this._refreshFees(chain, signer);
+        }
+
+        return {
+            chainId: signer.chainId,
+            nonce: await nonceManager.reserve(chain, signer.wallet.provider, this.address),
+            ...this._feeFields(signer.feeData),
+            ...tx
+        };
+    }
+
+    /**
+     * Signs and broadcasts a transaction with the warm signer of its chain. The NonceManager tracks it
+     * until mined (speed-up / cancellation when stuck); a nonce that never reached the mempool is released.
+     * @param {string} chain
+     * @param {object} tx
+     * @param {object} [options] - { label, onReplacement }, see NonceManager.track
+     * @returns {Promise<object>} Tracked transaction: { nonce, hash, wait() }
+     */
+    async sendTransaction(chain, tx, options = {}) {
+        const populated = await this.populate(chain, tx);
+        const { wallet } = this.signers.get(chain);
+
+        let response;
+        try {
+            response = await wallet.sendTransaction(populated);
+        } catch (error) {
+            await nonceManager.release(chain, wallet, populated, error);
+            throw error;
+        }
+        return nonceManager.track(chain, wallet, populated, response, options);
+    }
+
+    /**
+     * Cached fee data of a warm chain, for protocol-specific overrides.
+     * @returns {ethers.FeeData|null}
+     */
+    getFeeData(chain) {
+        const signer = this.signers.get(chain);
+        return signer ? signer.feeData : null;
+    }
+
+    async _warm(chain, signer) {
+        const provider = signer.wallet.provider;
+        const [network, , feeData] = await Promise.all([
+            signer.chainId === null ? provider.getNetwork() : null,
+            nonceManager.peek(chain) === null ? nonceManager.sync(chain, provider, this.address) : null,
+            signer.feeData === null ? provider.getFeeData() : null
+        ]);
+
+        if (network) signer.chainId = network.chainId;
+        if (feeData) {
+            signer.feeData = feeData;
+            signer.feeTs = Date.now();
+        }
+    }
+
+    async _refreshFees(chain, signer) {
+        signer.feeData = await signer.wallet.provider.getFeeData();
+        signer.feeTs = Date.now();
+    }
+
+    /**
+     * EIP-1559 fields when the chain supports them (Polygon, Arbitrum), legacy gas price otherwise (BSC).
+     */
+    _feeFields(feeData) {
+        if (feeData.maxFeePerGas != null && feeData.maxPriorityFeePerGas != null) {
+            return { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { type: 0, gasPrice: feeData.gasPrice };
+    }
+}
+
+module.exports = new SignerPool();
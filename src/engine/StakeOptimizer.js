@@ -0,0 +1,193 @@
+const { logger, calculateMultiProtocolArbitrage, legGasCost, totalGasCost } = require('./ArbitrageEngine');
+
+// Quote -> split rounds on the chosen legs until the stakes quoted and the stakes sent agree
+const MAX_REQUOTES = 3;
+const STAKE_CONVERGENCE = 0.005;
+
+/**
+ * Stake Optimizer
+ * Azuro and Overtime are AMMs: the effective odd of a leg drops as its stake grows.
+ * Instead of assuming a fixed odd per outcome, this module samples live quotes at several
+ * stake sizes per leg, builds a price-impact curve per (protocol, outcome) and searches the
+ * total investment that maximizes the absolute net profit after gas and commissions.
+ * The per-leg split is not searched: every candidate total uses the equal-payout split.
+ */
+class StakeOptimizer {
+    constructor() {
+        this.samples = parseInt(process.env.OPTIMIZER_SAMPLES || "5");
+        this.splitIterations = 3;
+    }
+
+    /**
+     * @param {object} params
+     * @param {string} params.name - Event name for logging
+     * @param {number} params.numOutcomes
+     * @param {number} params.maxInvestment - Upper bound given by the BankrollManager
+     * @param {string[]} params.protocols - Protocols quoted for this event
+     * @param {function(string, number, number): Promise<number>} params.sampleQuote
+     *   (protocol, outcomeIndex, stakeUsd) => decimal odd at that stake (0 if unavailable)
+     * @param {Object<string, number|object>} params.gasFees - protocol -> gas cost per leg in USD (see calculateMultiProtocolArbitrage)
+     * @param {Object<string, number>} params.commissions - protocol -> commission rate
+     * @returns {Promise<object>} calculateMultiProtocolArbitrage result at the optimal stake, priced on
+     *   odds quoted at the very stakes of its legs, with `optimizer: { chosenStake, interpolatedProfit, profitCurve }` attached
+     */
+    async optimize({ name, numOutcomes, maxInvestment, protocols, sampleQuote, gasFees, commissions }) {
+        const bookies = protocols;
+        const stakeGrid = [];
+        for (let k = 1; k <= this.samples; k++) {
+            stakeGrid.push(maxInvestment * k / this.samples);
+        }
+
+        // 1. Price-impact curves: bookie -> outcome -> [{ stake, odd }]
+        const curves = {};
+        await Promise.all(bookies.map(async (bookie) => {
+            curves[bookie] = [];
+            for (let i = 0; i < numOutcomes; i++) {
+                const points = await Promise.all(stakeGrid.map(async (stake) => {
+                    try {
+                        return { stake, odd: await sampleQuote(bookie, i, stake) || 0 };
+                    } catch (e) {
+                        return { stake, odd: 0 };
+                    }
+                }));
+                curves[bookie][i] = points;
+            }
+        }));
+
+        // 2. Evaluate every candidate total investment with an equal-payout split
+        const profitCurve = stakeGrid.map(total => this._evaluate(total, numOutcomes, bookies, curves, gasFees, commissions));
+        const best = profitCurve.reduce((a, b) => (b.profit > a.profit ? b : a));
+
+        logger.info({
+            msg: `[Stake Optimizer] ${name}`,
+            chosenStake: `$${best.totalInvestment.toFixed(2)}`,
+            profitCurve: profitCurve.map(p => `$${p.totalInvestment.toFixed(0)} → $${p.profit.toFixed(2)}`)
+        });
+
+        // 3. Final result with the odds each leg actually gets at its own stake: the interpolated odds
+        //    overstate an AMM between two samples, so every chosen leg is re-quoted at its stake
+        const interpolated = calculateMultiProtocolArbitrage(name, best.oddsByProtocol, best.totalInvestment, gasFees, commissions);
+        const result = interpolated.legs
+            ? await this._requote(name, interpolated, best.totalInvestment, { bookies, numOutcomes, sampleQuote, gasFees, commissions })
+            : interpolated;
+
+        if (interpolated.legs) {
+            const quotedProfit = result.legs ? `$${result.minNetProfit.toFixed(2)}` : 'no surebet';
+            logger.info(`[Stake Optimizer] ${name}: re-quoted at the chosen stakes, profit $${interpolated.minNetProfit.toFixed(2)} (interpolated) -> ${quotedProfit}`);
+        }
+
+        result.optimizer = {
+            chosenStake: best.totalInvestment,
+            interpolatedProfit: interpolated.legs ? interpolated.minNetProfit : null,
+            profitCurve: profitCurve.map(p => ({ totalInvestment: p.totalInvestment, margin: p.margin, profit: p.profit }))
+        };
+        return result;
+    }
+
+    /**
+     * Re-quotes the legs at their stakes and re-splits on those quotes until the stakes stop moving,
+     * so the odds of the result are the ones quoted for the stakes it sends. Legs stay on their protocol.
+     * @returns {Promise<object>} calculateMultiProtocolArbitrage result, not an arbitrage when the stakes never settle
+     */
+    async _requote(name, interpolated, totalInvestment, { bookies, numOutcomes, sampleQuote, gasFees, commissions }) {
+        let legs = interpolated.legs;
+
+        for (let round = 0; round < MAX_REQUOTES; round++) {
+            const quoted = await this._quoteLegs(legs, bookies, numOutcomes, sampleQuote);
+            const result = calculateMultiProtocolArbitrage(name, quoted, totalInvestment, gasFees, commissions);
+            if (!result.legs) return result;
+
+            const converged = result.legs.every((leg, i) => Math.abs(leg.stake - legs[i].stake) / legs[i].stake < STAKE_CONVERGENCE);
+            if (converged) return result;
+            legs = result.legs;
+        }
+
+        logger.warn(`[Stake Optimizer] ${name}: stakes still moving after ${MAX_REQUOTES} re-quotes. Opportunity skipped.`);
+        return { isArbitrage: false, margin: interpolated.margin, reason: "Re-quoted stakes did not converge" };
+    }
+
+    /**
+     * Live odd of every leg at its own stake, on the protocol it was assigned to. The other protocols
+     * are left out (0) so the recomputed split cannot move a leg back onto an interpolated odd.
+     * @returns {Promise<Object<string, number[]>>} protocol -> odds by outcome
+     */
+    async _quoteLegs(legs, bookies, numOutcomes, sampleQuote) {
+        const oddsByProtocol = {};
+        for (const bookie of bookies) oddsByProtocol[bookie] = new Array(numOutcomes).fill(0);
+
+        await Promise.all(legs.map(async (leg) => {
+            try {
+                oddsByProtocol[leg.bookie][leg.outcomeIndex] = await sampleQuote(leg.bookie, leg.outcomeIndex, leg.stake) || 0;
+            } catch (e) {
+                oddsByProtocol[leg.bookie][leg.outcomeIndex] = 0;
+            }
+        }));
+        return oddsByProtocol;
+    }
+
+    /**
+     * Fixed-point split: stakes depend on odds and odds depend on stakes,
+     * so the equal-payout split is re-computed a few times with the interpolated odds.
+     */
+    _evaluate(total, numOutcomes, bookies, curves, gasFees, commissions) {
+        let stakes = new Array(numOutcomes).fill(total / numOutcomes);
+        let margin = Infinity;
+        let oddsByProtocol = {};
+        let bookiesUsed = [];
+
+        for (let iter = 0; iter < this.splitIterations; iter++) {
+            oddsByProtocol = {};
+            for (const bookie of bookies) {
+                oddsByProtocol[bookie] = stakes.map((stake, i) => this._interpolate(curves[bookie][i], stake));
+            }
+
+            const effOdds = [];
+            bookiesUsed = [];
+            for (let i = 0; i < numOutcomes; i++) {
+                let bestBookie = null;
+                let bestEffOdd = 0;
+                for (const bookie of bookies) {
+                    const effOdd = oddsByProtocol[bookie][i] * (1 - (commissions[bookie] || 0));
+                    if (effOdd > bestEffOdd) {
+                        bestEffOdd = effOdd;
+                        bestBookie = bookie;
+                    }
+                }
+                effOdds.push(bestEffOdd);
+                if (bestBookie) bookiesUsed.push(bestBookie);
+            }
+
+            if (effOdds.some(o => o <= 0)) {
+                return { totalInvestment: total, margin: Infinity, profit: -Infinity, oddsByProtocol };
+            }
+
+            margin = effOdds.reduce((sum, o) => sum + 1 / o, 0);
+            stakes = effOdds.map(o => total * (1 / o) / margin);
+        }
+
+        const gasCost = totalGasCost(bookiesUsed.map(bookie => legGasCost(gasFees, bookie)));
+        const profit = total / margin - total - gasCost;
+
+        return { totalInvestment: total, margin, profit, oddsByProtocol };
+    }
+
+    /**
+     * Linear interpolation of the odd at `stake` on a sampled curve (flat outside the samples).
+     */
+    _interpolate(points, stake) {
+        const valid = points.filter(p => p.odd > 0);
+        if (valid.length === 0) return 0;
+        if (stake <= valid[0].stake) return valid[0].odd;
+
+        for (let k = 1; k < valid.length; k++) {
+            if (stake <= valid[k].stake) {
+                const a = valid[k - 1];
+                const b = valid[k];
+                return a.odd + (b.odd - a.odd) * (stake - a.stake) / (b.stake - a.stake);
+            }
+        }
+        return valid[valid.length - 1].odd;
+    }
+}
+
+module.exports = new StakeOptimizer();
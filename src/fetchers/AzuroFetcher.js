@@ -1,24 +1,69 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
 const { logger } = require('../engine/ArbitrageEngine'); // Reuse pino logger
+const { parseConditionId } = require('../utils/azuroIds');
+const { classifyAzuroCondition } = require('../utils/marketTaxonomy');
+const { BOOKIE_CHAINS } = require('../config/chains');
+const providerManager = require('../config/ProviderManager');
+const { RESOLUTION } = require('../storage/BetLedger');
+
+// Minimal Azuro V3 Core ABI sufficient to fetch odds & state
+const AZURO_CORE_ABI = [
+    "function getCondition(uint256 conditionId) view returns (uint256 payout, uint256[] virtualFunds, uint256 margin, uint8 state)",
+    "function calcOdds(uint256 conditionId, uint256 amount, uint64 outcomeId) view returns (uint256)", // Azuro V3 Slippage View
+    "function getOutcomeIndex(uint256 conditionId, uint64 outcomeId) view returns (uint256)" // Position in the condition's outcome arrays
+];
+
+// Write-side Core ABI: placing bets and withdrawing payouts
+const AZURO_BET_ABI = [
+    "function putQuote(uint256 conditionId, uint64 outcomeId, uint256 minOdds, bytes calldata data) external",
+    "function withdrawPayouts(uint256[] calldata conditionIds) external",
+    "function isOutcomeWinning(uint256 conditionId, uint64 outcomeId) view returns (bool)"
+];
+
+// Emitted by the Core on every odds change of a condition (new odds follow the condition's outcome order)
+const AZURO_EVENTS_ABI = [
+    "event OddsChanged(uint256 indexed conditionId, uint256[] newOdds)"
+];
+
+// Odds and margin are fixed-point numbers with 12 decimals (1e12 = 1.0)
+const AZURO_PRECISION_DECIMALS = 12;
+const STABLECOIN_DECIMALS = 6; // USDT Polygon
+
+// In Azuro, state 0 = Created, 1 = Resolved, 2 = Canceled, 3 = Paused
+const CONDITION_STATE_CREATED = 0;
+const CONDITION_STATE_RESOLVED = 1;
+const CONDITION_STATE_CANCELED = 2;
 
 class AzuroFetcher {
     /**
      * @param {string} subgraphUrl - The Graph URL for Azuro Polygon
-     * @param {string} wsRpcUrl - WebSocket RPC URL for real-time updates (Bonus structure)
      */
-    constructor(subgraphUrl, wsRpcUrl) {
+    constructor(subgraphUrl) {
         this.subgraphUrl = subgraphUrl;
 
-        // Ethers v6 WebsocketProvider initialization. 
-        if (wsRpcUrl && !wsRpcUrl.includes("YOUR_ALCHEMY_KEY") && wsRpcUrl.startsWith('wss')) {
-            this.wsProvider = new ethers.WebSocketProvider(wsRpcUrl);
-            if (this.wsProvider.websocket) {
-                this.wsProvider.websocket.on('error', (e) => logger.error(`Azuro WS Error: ${e.message}`));
-            }
-        } else {
-            this.wsProvider = null;
-        }
+        // Fetcher interface metadata (see FetcherRegistry)
+        this.protocol = 'azuro';
+        this.chain = BOOKIE_CHAINS.azuro;
+        this.commission = 0.05;
+        this.coreContract = process.env.AZURO_LP_CONTRACT || "0x204e7371Ade792c5C006fb52711c50a7efC843ed";
+        this.stablecoin = {
+            address: process.env.AZURO_STABLECOIN_POLYGON || "0xc2132d05d31c914a87c6611c10748aeb04b58e8f",
+            decimals: STABLECOIN_DECIMALS,
+            symbol: 'USDT'
+        };
+        this.spender = this.coreContract;
+        // Bet action priced by the GasOracle (per-action gas limit)
+        this.betAction = 'putQuote';
+
+        // Slippage guard: never accept a price that would turn the surebet into a loss
+        this.oddsTolerance = parseFloat(process.env.AZURO_ODDS_TOLERANCE || "0.02");
+
+        // Shared Polygon WebSocket connection (reconnects and fails over on its own), null without WS endpoint
+        this.wsProvider = providerManager.getWsProvider(this.chain);
+
+        // Live quotes need the WebSocket provider; without it the subgraph odds are used as-is
+        this.hasLiveQuotes = Boolean(this.wsProvider);
     }
 
     /**
@@ -32,13 +77,18 @@ class AzuroFetcher {
           conditions(first: 100) {
             id
             status
+            title
             game {
+              id
               sport { name }
               participants { name }
               startsAt
             }
             outcomes {
               id
+              outcomeId
+              sortOrder
+              title
               currentOdds
             }
           }
@@ -94,99 +144,169 @@ class AzuroFetcher {
                 const name = game.participants ? game.participants.map(p => p.name).join(' vs ') : `Game ${game.id}`;
 
                 const sport = game.sport && game.sport.name ? game.sport.name : "Unknown Sport";
-                const marketName = condition.name || "Match Winner";
 
-                // Map the outcomes (usually Home/Draw/Away)
-                const odds = condition.outcomes.map(o => parseFloat(o.currentOdds || 0));
+                // Map the outcomes (usually Home/Draw/Away) in on-chain order, which is the
+                // order of the condition's virtualFunds array
+                const outcomes = [...condition.outcomes].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+                const odds = outcomes.map(o => parseFloat(o.currentOdds || 0));
+                const outcomeIds = outcomes.map(o => o.outcomeId);
+
+                // Condition type (winner, total, handicap, BTTS, player prop) with its line
+                const market = classifyAzuroCondition({ ...condition, outcomes });
+                if (!market) {
+                    logger.debug(`AzuroFetcher: Skipping unsupported condition ${condition.id} (${condition.title || 'untitled'}) on "${name}".`);
+                    return null;
+                }
 
                 return {
                     id: condition.id,
                     protocol: 'azuro',
+                    gameId: game.id || null,
                     name,
                     sport,
-                    marketName,
+                    marketName: condition.title || market.marketKey,
+                    marketType: market.marketType,
+                    line: market.line,
+                    marketKey: market.marketKey,
                     startTime: parseInt(game.startsAt), // Unix timestamp
-                    odds
+                    odds,
+                    outcomeIds,
+                    outcomeLabels: market.outcomeLabels
                 };
-            });
+            })
+            .filter(Boolean);
     }
 
     /**
      * Setup WebSocket listeners for real-time odds updates directly from the blockchain.
-     * Very useful for Arbitrage where speed is critical.
+     * Very useful for Arbitrage where speed is critical: the new odds are decoded from the
+     * `OddsChanged` log itself, bypassing the subgraph delay.
+     * @param {string} contractAddress - Azuro Core emitting OddsChanged
+     * @param {string} conditionId - Condition to watch (subgraph composite ids accepted)
+     * @param {function({ conditionId: string, odds: number[], blockNumber: number }): void} onUpdateCallback
+     * @returns {function(): void|null} Unsubscribe function, or null without WebSocket provider
      */
-    subscribeToConditionUpdates(contractAddress, onUpdateCallback) {
+    subscribeToConditionUpdates(contractAddress, conditionId, onUpdateCallback) {
         if (!this.wsProvider) {
             logger.warn("AzuroFetcher: No WebSocket provider configured. Cannot subscribe.");
-            return;
+            return null;
         }
 
-        // Standard Event Name for odds update (Schema dependent)
-        const eventSignature = "ConditionUpdated(uint256,uint256[])";
+        const coreEvents = new ethers.Interface(AZURO_EVENTS_ABI);
         const filter = {
             address: contractAddress,
-            topics: [ethers.utils.id(eventSignature)]
+            topics: [coreEvents.getEvent('OddsChanged').topicHash, ethers.toBeHex(BigInt(parseConditionId(conditionId)), 32)]
         };
 
-        this.wsProvider.on(filter, (log) => {
-            logger.info(`AzuroFetcher (WS): Realtime Condition Update detected! Block: ${log.blockNumber}`);
-            // Decode the log data using abi.decode...
-            // Trigger Engine re-evaluation immediately bypass Subgraphs delay
-            if (onUpdateCallback) {
-                onUpdateCallback(log);
+        const listener = (log) => {
+            let parsed;
+            try {
+                parsed = coreEvents.parseLog(log);
+            } catch (e) {
+                logger.warn(`AzuroFetcher (WS): Undecodable OddsChanged log in block ${log.blockNumber}: ${e.message}`);
+                return;
+            }
+
+            const odds = parsed.args.newOdds.map(o => Number(parseFloat(ethers.formatUnits(o, AZURO_PRECISION_DECIMALS)).toFixed(4)));
+            logger.debug(`AzuroFetcher (WS): OddsChanged on condition ${parsed.args.conditionId} (block ${log.blockNumber})`);
+            onUpdateCallback({ conditionId: parsed.args.conditionId.toString(), odds, blockNumber: log.blockNumber });
+        };
+
+        this.wsProvider.on(filter, listener)
+            .catch(e => logger.warn(`AzuroFetcher (WS): Subscription to condition ${conditionId} failed: ${e.message}`));
+        return () => this.wsProvider.off(filter, listener)
+            .catch(e => logger.warn(`AzuroFetcher (WS): Unsubscription from condition ${conditionId} failed: ${e.message}`));
+    }
+
+    /**
+     * Fetcher interface: calls `onOdds(odds)` with the condition's new odds, in event outcome order,
+     * every time they change on-chain.
+     * `newOdds` follow the condition's on-chain outcome order, not the subgraph's: they are mapped
+     * through the on-chain position of each of `event.outcomeIds` (read once, on the first update).
+     * Updates are dropped while those positions cannot be read, rather than delivered misordered.
+     * @returns {function(): void|null} Unsubscribe function
+     */
+    subscribeToOddsUpdates(event, onOdds) {
+        const outcomeIds = event.outcomeIds || [];
+        if (outcomeIds.length === 0) {
+            logger.warn(`AzuroFetcher: No outcome ids on condition ${event.id}. Cannot map its odds updates.`);
+            return null;
+        }
+
+        let positions = null;
+        return this.subscribeToConditionUpdates(this.coreContract, event.id, async (update) => {
+            positions = positions || this._outcomePositions(event.id, outcomeIds);
+            let resolved;
+            try {
+                resolved = await positions;
+            } catch (e) {
+                positions = null; // Retried on the next update
+                logger.warn(`AzuroFetcher (WS): Outcome positions of condition ${event.id} unavailable: ${e.message}. Update dropped.`);
+                return;
             }
+
+            const odds = resolved.map(position => update.odds[position]);
+            if (odds.some(o => o === undefined)) {
+                logger.warn(`AzuroFetcher (WS): OddsChanged on condition ${event.id} has ${update.odds.length} outcome(s), expected ${outcomeIds.length}. Update dropped.`);
+                return;
+            }
+            onOdds(odds);
         });
     }
 
+    /**
+     * On-chain position of every outcome id in the condition's outcome arrays (newOdds, virtualFunds).
+     * @returns {Promise<number[]>}
+     */
+    async _outcomePositions(conditionId, outcomeIds) {
+        const contract = this._getCoreContract(this.coreContract);
+        const parsedConditionId = parseConditionId(conditionId);
+        return Promise.all(outcomeIds.map(async outcomeId => Number(await contract.getOutcomeIndex(parsedConditionId, outcomeId))));
+    }
+
     /**
      * V2 Optimization: Direct Smart Contract Read
      * Bypasses Subgraph Lag (5-30 seconds) by fetching the EXACT odds 
      * milliseconds before execution via the RPC provider, including slippage calc.
+     *
+     * Odds are read with `calcOdds` at the intended stake for every outcome id. An outcome whose
+     * view reverts (the AMM refuses that stake) is quoted 0, i.e. not bettable. Without outcome ids
+     * the market is skipped: the core applies its margin per outcome, which virtual funds alone do not give.
+     * The returned array follows `outcomeIds` order (= subgraph outcome order).
      * 
      * @param {string} contractAddress - Azuro LP Contract Proxy
      * @param {string} conditionId - The ID of the match/market
      * @param {number} targetStakeUsd - The intended bet size in USD
+     * @param {Array<string|number>} [outcomeIds] - Subgraph outcome ids, in the same order as the event odds
      * @returns {Promise<object>} Returns { isFrozen, odds: number[] }
      */
-    async getLatestOddsFromContract(contractAddress, conditionId, targetStakeUsd = process.env.TOTAL_INVESTMENT || 10) {
-        if (!this.wsProvider) throw new Error("AzuroFetcher: RPC Provider required for live fetch.");
-
-        // Minimal ABI sufficient to fetch odds & state
-        const AZURO_CORE_ABI = [
-            "function getCondition(uint256 conditionId) view returns (uint256 payout, uint256[] virtualFunds, uint256 margin, uint8 state)",
-            "function calcOdds(uint256 conditionId, uint256 amount, uint64 outcomeId) view returns (uint256)" // Azuro V3 Slippage View
-        ];
-
-        const contract = new ethers.Contract(contractAddress, AZURO_CORE_ABI, this.wsProvider);
+    async getLatestOddsFromContract(contractAddress, conditionId, targetStakeUsd = process.env.TOTAL_INVESTMENT || 10, outcomeIds = []) {
+        const contract = this._getCoreContract(contractAddress);
+        const parsedConditionId = parseConditionId(conditionId);
 
         try {
-            // Ethers v6 requires conditionId to be properly passed (parsed as Int/BigInt depending on exact scale)
-            // V3 subgraphs return composite strings like: address_conditionId. We must split it.
-            let parsedConditionId = conditionId;
-            if (typeof conditionId === 'string' && conditionId.includes('_')) {
-                parsedConditionId = conditionId.split('_')[1];
-            }
-            const result = await contract.getCondition(parsedConditionId);
+            const condition = await contract.getCondition(parsedConditionId);
 
-            // In Azuro, state 0 = Created, 1 = Resolved, 2 = Canceled, 3 = Paused
-            // result is a Proxy/Array in ethers v6. We access by index or name: payout(0), virtualFunds(1), margin(2), state(3)
-            const state = Number(result[3] || result.state);
-            const isFrozen = state !== 0;
+            // result is a Proxy/Array in ethers v6. We access by index: payout(0), virtualFunds(1), margin(2), state(3)
+            const state = Number(condition[3]);
+            const isFrozen = state !== CONDITION_STATE_CREATED;
 
-            // Azuro odds calculation: odds = Sum(virtualFunds) / virtualFunds[outcome]
-            // Or fetched directly if using a different core implementation.
-            // Simplified math for demonstration
-            let totalVirtual = 0;
-            const odds = [];
-
-            for (let i = 0; i < result.virtualFunds.length; i++) {
-                totalVirtual += parseFloat(ethers.utils.formatUnits(result.virtualFunds[i], 12)); // Example precision
+            if (outcomeIds.length === 0) {
+                logger.debug(`Azuro condition ${conditionId} has no outcome ids to quote. Market skipped.`);
+                return { isFrozen, odds: [] };
             }
 
-            for (let i = 0; i < result.virtualFunds.length; i++) {
-                const f = parseFloat(ethers.utils.formatUnits(result.virtualFunds[i], 12));
-                odds.push(f > 0 ? (totalVirtual / f) : 0);
-            }
+            const amountWei = ethers.parseUnits(Number(targetStakeUsd).toFixed(STABLECOIN_DECIMALS), STABLECOIN_DECIMALS);
+            const odds = await Promise.all(outcomeIds.map(async (outcomeId) => {
+                try {
+                    const oddsWei = await contract.calcOdds(parsedConditionId, amountWei, outcomeId);
+                    return parseFloat(ethers.formatUnits(oddsWei, AZURO_PRECISION_DECIMALS));
+                } catch (e) {
+                    // Zero-stake odds would overstate what the AMM just refused at this stake
+                    logger.debug(`Azuro calcOdds reverted for outcome ${outcomeId}: ${e.message}. Outcome not bettable at $${targetStakeUsd}.`);
+                    return 0;
+                }
+            }));
 
             return { isFrozen, odds };
         } catch (e) {
@@ -194,6 +314,110 @@ class AzuroFetcher {
             return { isFrozen: true, odds: [] }; // Fail safe
         }
     }
+
+    /**
+     * Samples the Azuro price-impact curve through the `calcOdds` slippage view.
+     * @param {string} contractAddress - Azuro LP Contract Proxy
+     * @param {string} conditionId
+     * @param {number} outcomeId
+     * @param {number} stakeUsd
+     * @returns {Promise<number>} Decimal odd at that stake (reverts propagate to the caller)
+     */
+    async getQuoteAtStake(contractAddress, conditionId, outcomeId, stakeUsd) {
+        const contract = this._getCoreContract(contractAddress);
+        const amountWei = ethers.parseUnits(stakeUsd.toFixed(STABLECOIN_DECIMALS), STABLECOIN_DECIMALS);
+        const oddsWei = await contract.calcOdds(parseConditionId(conditionId), amountWei, outcomeId);
+        return parseFloat(ethers.formatUnits(oddsWei, AZURO_PRECISION_DECIMALS));
+    }
+
+    /**
+     * Fetcher interface: live odds of a discovered event at the intended stake, in event outcome order.
+     * @param {object} event - Normalized event from fetchActiveEvents
+     * @param {number} stakeUsd
+     * @returns {Promise<{ isFrozen: boolean, odds: number[] }>}
+     */
+    async getLiveOdds(event, stakeUsd) {
+        if (!this.hasLiveQuotes) return { isFrozen: false, odds: event.odds };
+        return this.getLatestOddsFromContract(this.coreContract, event.id, stakeUsd, event.outcomeIds);
+    }
+
+    /**
+     * Fetcher interface: decimal odd of a single outcome at a given stake.
+     * @param {object} event
+     * @param {string|number} outcomeId - Azuro outcome id
+     * @param {number} stakeUsd
+     */
+    async quoteOutcome(event, outcomeId, stakeUsd) {
+        return this.getQuoteAtStake(this.coreContract, event.id, outcomeId, stakeUsd);
+    }
+
+    /**
+     * Fetcher interface: raw putQuote transaction for a leg (shared by live and dry-run paths).
+     * minOdds is the odd used by the arbitrage math minus AZURO_ODDS_TOLERANCE,
+     * never below the break-even odd, so the bet reverts if the surebet no longer holds.
+     * @param {object} leg - { matchId, outcomeIndex (outcome id), stake, rawOdd }
+     * @param {{ maxOddsDrop: number }} context - Largest odds drop keeping the surebet at break-even
+     * The stake is an ERC-20 transfer pulled by the spender, so the transaction carries no native value.
+     * @returns {Promise<{ to: string, data: string }>}
+     */
+    async buildBetTx(leg, { maxOddsDrop = 0 } = {}) {
+        const azuroCore = new ethers.Interface(AZURO_BET_ABI);
+        const conditionId = parseConditionId(leg.matchId);
+
+        const allowedDrop = Math.min(this.oddsTolerance, maxOddsDrop);
+        const minOdds = ethers.parseUnits((leg.rawOdd * (1 - allowedDrop)).toFixed(AZURO_PRECISION_DECIMALS), AZURO_PRECISION_DECIMALS);
+
+        // Azuro bet payload: abi.encode(conditionId, outcomeId)
+        const betData = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint64'], [conditionId, leg.outcomeIndex]);
+
+        return {
+            to: this.coreContract,
+            data: azuroCore.encodeFunctionData('putQuote', [conditionId, leg.outcomeIndex, minOdds, betData])
+        };
+    }
+
+    /**
+     * Fetcher interface: reason the condition no longer accepts bets, or null if open.
+     */
+    async getMarketStatus(leg, provider) {
+        const azuroCore = new ethers.Contract(this.coreContract, AZURO_CORE_ABI, provider);
+        const condition = await azuroCore.getCondition(parseConditionId(leg.matchId));
+        const state = Number(condition[3]);
+        return state === CONDITION_STATE_CREATED ? null : `not accepting bets (state ${state})`;
+    }
+
+    /**
+     * Fetcher interface: on-chain resolution of a placed leg.
+     * @returns {Promise<string>} One of RESOLUTION
+     */
+    async getLegResolution(leg, provider) {
+        const azuroCore = new ethers.Contract(this.coreContract, [...AZURO_CORE_ABI, ...AZURO_BET_ABI], provider);
+        const conditionId = parseConditionId(leg.matchId);
+        const condition = await azuroCore.getCondition(conditionId);
+        const state = Number(condition[3]);
+
+        if (state === CONDITION_STATE_CANCELED) return RESOLUTION.REFUNDED;
+        if (state !== CONDITION_STATE_RESOLVED) return RESOLUTION.OPEN;
+
+        const isWinning = await azuroCore.isOutcomeWinning(conditionId, leg.outcomeIndex);
+        return isWinning ? RESOLUTION.WON : RESOLUTION.LOST;
+    }
+
+    /**
+     * Fetcher interface: payout withdrawal transaction (Azuro expects an array of conditionIds).
+     */
+    buildClaimTx(leg) {
+        const azuroCore = new ethers.Interface(AZURO_BET_ABI);
+        return {
+            to: this.coreContract,
+            data: azuroCore.encodeFunctionData('withdrawPayouts', [[parseConditionId(leg.matchId)]])
+        };
+    }
+
+    _getCoreContract(contractAddress) {
+        if (!this.wsProvider) throw new Error("AzuroFetcher: RPC Provider required for live fetch.");
+        return new ethers.Contract(contractAddress, AZURO_CORE_ABI, this.wsProvider);
+    }
 }
 
 module.exports = AzuroFetcher;
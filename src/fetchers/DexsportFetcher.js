@@ -1,25 +1,66 @@
-const axios = require('axios');
+const fs = require('fs');
 const { ethers } = require('ethers');
 const { logger } = require('../engine/ArbitrageEngine');
+const { BOOKIE_CHAINS } = require('../config/chains');
+const providerManager = require('../config/ProviderManager');
+const { MARKET_TYPES, OUTCOME_LABELS, buildMarketKey } = require('../utils/marketTaxonomy');
+
+// Pool functions the fetcher calls. They are only encoded against the verified pool ABI
+// (DEXSPORT_POOL_ABI_PATH): without it, or if it does not expose these exact signatures,
+// Dexsport stays read-only and no bet / claim transaction is ever built.
+const REQUIRED_POOL_FUNCTIONS = [
+    "getMarket(bytes32)",
+    "placeBet(bytes32,uint256,uint256,uint256)",
+    "claim(bytes32)"
+];
+
+// Emitted by the pool when the prices of a market move
+const DEXSPORT_EVENTS_ABI = [
+    "event PriceChanged(bytes32 indexed marketId, uint256[] prices)"
+];
+
+const PRICE_DECIMALS = 6;
+const STABLECOIN_DECIMALS = 18; // USDT BSC (BEP-20) has 18 decimals
+
+// Dexsport only exposes match winner markets to the bot
+const WINNER_MARKET = { marketType: MARKET_TYPES.WINNER, line: null, marketKey: buildMarketKey({ marketType: MARKET_TYPES.WINNER, line: null }) };
 
 class DexsportFetcher {
     /**
      * @param {string} subgraphUrl - The Graph URL for Dexsport BSC
-     * @param {string} wsRpcUrl - WebSocket RPC URL for real-time updates
      */
-    constructor(subgraphUrl, wsRpcUrl) {
+    constructor(subgraphUrl) {
         this.subgraphUrl = subgraphUrl;
 
-        // Ethers v6 WebsocketProvider initialization. 
-        // Ethers v6 WebsocketProvider initialization. 
-        if (wsRpcUrl && !wsRpcUrl.includes("nodedent.com") && wsRpcUrl.startsWith('wss')) {
-            this.wsProvider = new ethers.WebSocketProvider(wsRpcUrl);
-            if (this.wsProvider.websocket) {
-                this.wsProvider.websocket.on('error', (e) => logger.error(`Dexsport WS Error: ${e.message}`));
-            }
-        } else {
-            this.wsProvider = null;
+        // Fetcher interface metadata (see FetcherRegistry)
+        this.protocol = 'dexsport';
+        this.chain = BOOKIE_CHAINS.dexsport;
+        this.commission = parseFloat(process.env.DEXSPORT_COMMISSION || "0.05");
+        this.poolContract = process.env.DEXSPORT_POOL_CONTRACT || "0x393c06fb9134a6df6158c5f5904d962086e33814";
+        this.stablecoin = {
+            address: process.env.DEXSPORT_STABLECOIN_BSC || "0x55d398326f99059fF775485246999027B3197955",
+            decimals: STABLECOIN_DECIMALS,
+            symbol: 'USDT'
+        };
+        this.spender = this.poolContract;
+        this.betAction = 'placeBet';
+        this.oddsTolerance = parseFloat(process.env.DEXSPORT_ODDS_TOLERANCE || "0.02");
+
+        // Shared BSC WebSocket connection from the ProviderManager, null without WS endpoint
+        this.wsProvider = providerManager.getWsProvider(this.chain);
+
+        // Verified pool ABI, or the reason Dexsport cannot be quoted / executed
+        const { pool, error } = loadPoolInterface(process.env.DEXSPORT_POOL_ABI_PATH);
+        this.pool = pool;
+        this.executionBlocker = error;
+        if (error) {
+            logger.warn(`DexsportFetcher: read-only, ${error}`);
         }
+
+        // Live prices need the WebSocket provider and the verified ABI; without them Dexsport is never quoted
+        this.hasLiveQuotes = Boolean(this.wsProvider) && !error;
+        // No on-chain resolution reader: the pool claim is attempted blindly and reverts until resolved
+        this.blindClaim = true;
     }
 
     /**
@@ -39,37 +80,13 @@ class DexsportFetcher {
     }
 
     /**
-     * Option 1: Fetches active matches via Dexsport's Off-Chain REST API.
-     * Provides instant access to human-readable names and avoids RPC limits.
+     * Option 1: Off-Chain REST API discovery.
+     * The API response is not mapped yet: no market is returned rather than invented ones,
+     * which could be paired with real events and bet on.
      */
     async _fetchFromRestApi() {
-        logger.info(`DexsportFetcher: [API MODE] Fetching active events from Off-Chain REST endpoint...`);
-        try {
-            const apiUrl = process.env.DEXSPORT_API_URL || 'https://api.dexsport.io/v1/events';
-
-            // NOTE: In production, uncomment the axios request to fetch live data.
-            // const response = await axios.get(apiUrl);
-            // const liveEvents = response.data.map(event => ({ ... }));
-
-            // Placeholder: Mock mapping of the expected API structure
-            const discoveredMarkets = [
-                {
-                    id: '0xabc1234567890123456789012345678901234567890123456789012345678901', // Example bytes32
-                    protocol: 'dexsport',
-                    name: 'Paris SG - Bayern', // API provides the readable name!
-                    sport: 'Football',
-                    marketName: 'Match Winner',
-                    startTime: Math.floor(Date.now() / 1000) + 3600,
-                    odds: [2.10, 3.00, 3.40] // Placeholder odds
-                }
-            ];
-
-            logger.info(`DexsportFetcher: Found ${discoveredMarkets.length} active market(s) via REST API.`);
-            return discoveredMarkets;
-        } catch (error) {
-            logger.error(`Dexsport API Fetch Error: ${error.message}`);
-            return [];
-        }
+        logger.warn(`DexsportFetcher: [API MODE] REST discovery is not implemented. No Dexsport market discovered (use DEXSPORT_DISCOVERY_MODE=WS).`);
+        return [];
     }
 
     /**
@@ -148,12 +165,21 @@ class DexsportFetcher {
                                 const matchName = teamNames.join(' vs ');
                                 const odds = payload.outcomes.map(o => parseFloat(o.price || 0));
 
+                                // Outcomes are listed home first: the first team is home, the second away
+                                let teamIndex = 0;
+                                const outcomeLabels = payload.outcomes.map(o => {
+                                    if (o.name === 'Draw' || o.shortName === 'X') return OUTCOME_LABELS.DRAW;
+                                    return teamIndex++ === 0 ? OUTCOME_LABELS.HOME : OUTCOME_LABELS.AWAY;
+                                });
+
                                 markets.push({
                                     id: payload.lid,
                                     protocol: 'dexsport',
                                     name: matchName || 'Unknown Match',
                                     sport: events[eventId].sport,
                                     marketName: 'Match Winner', // Normalized
+                                    ...WINNER_MARKET,
+                                    outcomeLabels,
                                     startTime: events[eventId].startTime,
                                     odds: odds
                                 });
@@ -177,72 +203,60 @@ class DexsportFetcher {
     }
 
     /**
-     * Option 2: Fetches active matches EXCLUSIVELY On-Chain via RPC/WebSocket.
-     * Bypasses any centralized APIs for pure Web3 decentralization.
+     * Option 2: On-chain discovery from the pool's MarketCreated logs.
+     * bytes32 market ids carry no team names, so the logs alone cannot be paired with other protocols:
+     * no market is returned until a name source is wired in.
      */
     async _fetchFromOnChainLogs() {
-        logger.info("DexsportFetcher: [ON-CHAIN MODE] Scanning exclusively On-Chain via WebSocket...");
-
-        if (!this.wsProvider) {
-            logger.error("DexsportFetcher: WebSocket provider is required for On-Chain scanning.");
-            return [];
-        }
-
-        try {
-            // Architecture: In a production environment, you use eth_getLogs to scan the last X blocks
-            // for the exact MarketCreated event signature to discover newly opened betting pools.
-            const MARKET_CREATED_TOPIC = ethers.id("MarketCreated(bytes32,uint256)");
-
-            logger.info("DexsportFetcher: Querying BSC network for 'MarketCreated' logs over the last 5000 blocks...");
-
-            // Note: Since bytes32 IDs on the blockchain don't contain human-readable team names ("PSG vs Bayern"),
-            // the bot relies entirely on 'dictionaryHydration.js' matching the 'startTime' with Azuro to guess the match.
-
-            // Placeholder to allow the ArbitrageEngine to test the execution phase safely
-            const discoveredMarkets = [
-                {
-                    id: '0xabc1234567890123456789012345678901234567890123456789012345678901', // Example bytes32
-                    protocol: 'dexsport',
-                    name: 'UNKNOWN_DEXSPORT_ONCHAIN_ID', // Name missing on-chain
-                    sport: 'Football',
-                    marketName: 'Match Winner',
-                    startTime: Math.floor(Date.now() / 1000) + 3600, // Starts in 1 hour
-                    odds: [2.10, 3.00, 3.40] // Placeholder odds
-                }
-            ];
-
-            logger.info(`DexsportFetcher: Found ${discoveredMarkets.length} active market(s) directly on-chain.`);
-            return discoveredMarkets;
-
-        } catch (error) {
-            logger.error(`Dexsport On-Chain Scan Error: ${error.message}`);
-            return [];
-        }
+        logger.warn("DexsportFetcher: [ON-CHAIN MODE] Log discovery is not implemented. No Dexsport market discovered (use DEXSPORT_DISCOVERY_MODE=WS).");
+        return [];
     }
 
     /**
-     * Setup WebSocket listeners for real-time price updates.
+     * Setup WebSocket listeners for real-time price updates of one market.
+     * @param {string} contractAddress - Dexsport Betting Pool Contract
+     * @param {string} eventId - Market to watch
+     * @param {function({ marketId: string, odds: number[], blockNumber: number }): void} onUpdateCallback
+     * @returns {function(): void|null} Unsubscribe function, or null without WebSocket provider
      */
-    subscribeToPriceUpdates(contractAddress, onUpdateCallback) {
+    subscribeToPriceUpdates(contractAddress, eventId, onUpdateCallback) {
         if (!this.wsProvider) {
             logger.warn("DexsportFetcher: No WebSocket provider configured.");
-            return;
+            return null;
         }
 
-        // Example Event Name
-        const eventSignature = "PriceChanged(bytes32,uint256[])";
+        const poolEvents = new ethers.Interface(DEXSPORT_EVENTS_ABI);
         const filter = {
             address: contractAddress,
-            topics: [ethers.utils.id(eventSignature)]
+            topics: [poolEvents.getEvent('PriceChanged').topicHash, this._toMarketId(eventId)]
         };
 
-        this.wsProvider.on(filter, (log) => {
-            logger.info(`DexsportFetcher (WS): Realtime Price Update detected! Block: ${log.blockNumber}`);
-            // Decode data and trigger arbitrage engine
-            if (onUpdateCallback) {
-                onUpdateCallback(log);
+        const listener = (log) => {
+            let parsed;
+            try {
+                parsed = poolEvents.parseLog(log);
+            } catch (e) {
+                logger.warn(`DexsportFetcher (WS): Undecodable PriceChanged log in block ${log.blockNumber}: ${e.message}`);
+                return;
             }
-        });
+
+            const odds = parsed.args.prices.map(p => parseFloat(ethers.formatUnits(p, PRICE_DECIMALS)));
+            logger.debug(`DexsportFetcher (WS): PriceChanged on market ${parsed.args.marketId} (block ${log.blockNumber})`);
+            onUpdateCallback({ marketId: parsed.args.marketId, odds, blockNumber: log.blockNumber });
+        };
+
+        this.wsProvider.on(filter, listener)
+            .catch(e => logger.warn(`DexsportFetcher (WS): Subscription to event ${eventId} failed: ${e.message}`));
+        return () => this.wsProvider.off(filter, listener)
+            .catch(e => logger.warn(`DexsportFetcher (WS): Unsubscription from event ${eventId} failed: ${e.message}`));
+    }
+
+    /**
+     * Fetcher interface: calls `onOdds(odds)` with the market's new prices, in outcome order.
+     * @returns {function(): void|null} Unsubscribe function
+     */
+    subscribeToOddsUpdates(event, onOdds) {
+        return this.subscribeToPriceUpdates(this.poolContract, event.id, update => onOdds(update.odds));
     }
 
     /**
@@ -257,22 +271,11 @@ class DexsportFetcher {
     async getLatestOddsFromContract(contractAddress, eventId) {
         if (!this.wsProvider) throw new Error("DexsportFetcher: RPC Provider required for live fetch.");
 
-        // Minimal ABI sufficient to fetch odds & state
-        const DEXSPORT_ABI = [
-            "function getMarket(bytes32 marketId) view returns (bool isActive, uint256[] prices)"
-        ];
-
-        const contract = new ethers.Contract(contractAddress, DEXSPORT_ABI, this.wsProvider);
+        const contract = new ethers.Contract(contractAddress, this._requirePool(), this.wsProvider);
 
         try {
             // Assumes eventId maps directly to marketId for this MVP
-            // Dexsport expects a bytes32 parameter. Convert regular strings or hex strings to bytes32:
-            let bytes32MarketId = eventId.startsWith('0x') ? eventId : ethers.id(eventId);
-            if (bytes32MarketId.length < 66) {
-                bytes32MarketId = ethers.zeroPadValue(ethers.getBytes(bytes32MarketId), 32);
-            }
-
-            const result = await contract.getMarket(bytes32MarketId);
+            const result = await contract['getMarket(bytes32)'](this._toMarketId(eventId));
 
             // Access via Ethers v6 array indices or proxy names
             const isFrozen = !result[0] && !result.isActive;
@@ -280,7 +283,7 @@ class DexsportFetcher {
             const odds = [];
             for (let i = 0; i < result[1].length; i++) {
                 // Adjust formatting depending on Dexsport's decimals. Often 1e6 or 1e18.
-                odds.push(parseFloat(ethers.formatUnits(result[1][i], 6)));
+                odds.push(parseFloat(ethers.formatUnits(result[1][i], PRICE_DECIMALS)));
             }
 
             return { isFrozen, odds };
@@ -289,6 +292,111 @@ class DexsportFetcher {
             return { isFrozen: true, odds: [] }; // Fail safe
         }
     }
+
+    /**
+     * Fetcher interface: live prices of a discovered market, in outcome order.
+     * Without live quotes the market is reported frozen: discovery prices are never bet on.
+     */
+    async getLiveOdds(event) {
+        if (!this.hasLiveQuotes) return { isFrozen: true, odds: [] };
+        return this.getLatestOddsFromContract(this.poolContract, event.id);
+    }
+
+    /**
+     * Fetcher interface: decimal odd of a single outcome. Dexsport prices are fixed per market,
+     * so the stake has no price impact here.
+     */
+    async quoteOutcome(event, outcomeIndex) {
+        const live = await this.getLiveOdds(event);
+        return live.isFrozen ? 0 : (live.odds[outcomeIndex] || 0);
+    }
+
+    /**
+     * Fetcher interface: raw placeBet transaction for a leg.
+     * minPrice is the odd used by the arbitrage math minus DEXSPORT_ODDS_TOLERANCE, never below break-even.
+     */
+    async buildBetTx(leg, { maxOddsDrop = 0 } = {}) {
+        if (!this.hasLiveQuotes) {
+            throw new Error(`Dexsport execution disabled: ${this.executionBlocker || 'no BSC WebSocket endpoint for live prices'}`);
+        }
+        const pool = this._requirePool();
+        const stakeWei = ethers.parseUnits(leg.stake.toFixed(6), STABLECOIN_DECIMALS);
+        const allowedDrop = Math.min(this.oddsTolerance, maxOddsDrop);
+        const minPrice = ethers.parseUnits((leg.rawOdd * (1 - allowedDrop)).toFixed(PRICE_DECIMALS), PRICE_DECIMALS);
+
+        return {
+            to: this.poolContract,
+            data: pool.encodeFunctionData('placeBet(bytes32,uint256,uint256,uint256)', [this._toMarketId(leg.matchId), leg.outcomeIndex, stakeWei, minPrice])
+        };
+    }
+
+    /**
+     * Fetcher interface: reason the market no longer accepts bets, or null if open.
+     */
+    async getMarketStatus(leg, provider) {
+        const pool = new ethers.Contract(this.poolContract, this._requirePool(), provider);
+        const result = await pool['getMarket(bytes32)'](this._toMarketId(leg.matchId));
+        return result[0] ? null : 'inactive';
+    }
+
+    /**
+     * Fetcher interface: Dexsport has no resolution reader (see `blindClaim`).
+     */
+    async getLegResolution(leg) {
+        throw new Error(`No resolution reader for bookie ${leg.bookie}`);
+    }
+
+    /**
+     * Fetcher interface: pool claim transaction.
+     */
+    buildClaimTx(leg) {
+        const pool = this._requirePool();
+        return { to: this.poolContract, data: pool.encodeFunctionData('claim(bytes32)', [this._toMarketId(leg.matchId)]) };
+    }
+
+    _requirePool() {
+        if (!this.pool) throw new Error(`Dexsport pool ABI unavailable: ${this.executionBlocker}`);
+        return this.pool;
+    }
+
+    /**
+     * Dexsport expects a bytes32 parameter. Convert regular strings or hex strings to bytes32.
+     */
+    _toMarketId(eventId) {
+        let bytes32MarketId = eventId.startsWith('0x') ? eventId : ethers.id(eventId);
+        if (bytes32MarketId.length < 66) {
+            bytes32MarketId = ethers.zeroPadValue(ethers.getBytes(bytes32MarketId), 32);
+        }
+        return bytes32MarketId;
+    }
+}
+
+/**
+ * Loads the verified pool ABI (JSON array, or an artifact / explorer export with an `abi` field)
+ * and checks it exposes every function the fetcher encodes.
+ * @returns {{ pool: ethers.Interface|null, error: string|null }}
+ */
+function loadPoolInterface(abiPath) {
+    if (!abiPath) return { pool: null, error: 'DEXSPORT_POOL_ABI_PATH is not set (verified pool ABI required)' };
+
+    let pool;
+    try {
+        const json = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+        pool = new ethers.Interface(Array.isArray(json) ? json : json.abi);
+    } catch (e) {
+        return { pool: null, error: `cannot load pool ABI ${abiPath}: ${e.message}` };
+    }
+
+    const missing = REQUIRED_POOL_FUNCTIONS.filter(signature => !pool.getFunction(signature));
+    if (missing.length > 0) {
+        return { pool: null, error: `pool ABI ${abiPath} has no ${missing.join(', ')}` };
+    }
+    // getMarket is decoded positionally as (isActive, prices)
+    const outputs = pool.getFunction(REQUIRED_POOL_FUNCTIONS[0]).outputs.map(o => o.type).join(',');
+    if (outputs !== 'bool,uint256[]') {
+        return { pool: null, error: `pool ABI ${abiPath}: getMarket returns (${outputs}), expected (bool,uint256[])` };
+    }
+    return { pool, error: null };
 }
 
 module.exports = DexsportFetcher;
@@ -0,0 +1,155 @@
+const { logger } = require('../engine/ArbitrageEngine');
+const AzuroFetcher = require('./AzuroFetcher');
+const OvertimeFetcher = require('./OvertimeFetcher');
+const DexsportFetcher = require('./DexsportFetcher');
+
+/**
+ * Every protocol plugged into the bot implements this interface:
+ *
+ *   protocol, chain, commission        - identity, settlement chain (BOOKIE_CHAINS), commission rate
+ *   stablecoin { address, decimals }   - token staked on the protocol
+ *   spender                            - contract pulling the stake (allowance target)
+ *   betAction                          - bet action key of the GasOracle (putQuote, buyFromAmm...)
+ *   hasLiveQuotes                      - false when no RPC is configured (discovery odds are used)
+ *   blindClaim                         - optional, true when getLegResolution cannot read the market
+ *
+ *   fetchActiveEvents()                      -> normalized events (name, sport, startTime, odds, marketKey, outcomeLabels)
+ *   getLiveOdds(event, stakeUsd)             -> { isFrozen, odds } in event outcome order
+ *   quoteOutcome(event, nativeOutcome, usd)  -> decimal odd of one outcome at that stake
+ *   buildBetTx(leg, { provider, maxOddsDrop }) -> { to, data, value? }
+ *   getMarketStatus(leg, provider)           -> reason the market is closed, or null
+ *   getLegResolution(leg, provider)          -> one of RESOLUTION (BetLedger)
+ *   buildClaimTx(leg)                        -> { to, data }
+ *   getTxOverrides(provider, feeData)        -> optional gas overrides for bet transactions (feeData: cached, may be null)
+ *   subscribeToOddsUpdates(event, onOdds)    -> optional, real-time odds (onOdds(odds) in event outcome order);
+ *                                               returns an unsubscribe function, or null when unavailable
+ */
+const FETCHER_INTERFACE = [
+    'fetchActiveEvents',
+    'getLiveOdds',
+    'quoteOutcome',
+    'buildBetTx',
+    'getMarketStatus',
+    'getLegResolution',
+    'buildClaimTx'
+];
+
+// Built-in protocols, instantiated from .env when listed in PROTOCOLS
+const PROTOCOL_FACTORIES = {
+    azuro: () => new AzuroFetcher(process.env.AZURO_SUBGRAPH_URL),
+    overtime: () => new OvertimeFetcher(
+        process.env.OVERTIME_API_URL,
+        process.env.OVERTIME_SPORTS_AMM_ARBITRUM || "0x170a5714112daEfF20E798B6e92e25B86Ea603C1"
+    ),
+    dexsport: () => new DexsportFetcher(process.env.DEXSPORT_SUBGRAPH_URL)
+};
+
+/**
+ * Fetcher Registry
+ * Single place where protocols are plugged in. PROTOCOLS (.env) lists the enabled protocols,
+ * comma-separated; the first one is the naming reference for event hydration (Azuro by default).
+ * Engines resolve a leg's protocol through `get(leg.bookie)` instead of hard-coding bookies.
+ */
+class FetcherRegistry {
+    constructor() {
+        this.fetchers = new Map(); // protocol -> fetcher
+        this.isLoaded = false;
+    }
+
+    /**
+     * Instantiates the protocols listed in PROTOCOLS. Safe to call multiple times.
+     * Throws when PROTOCOLS is empty or names an unknown protocol, before anything is registered.
+     */
+    loadFromEnv() {
+        if (this.isLoaded) return this;
+
+        const protocols = (process.env.PROTOCOLS || 'azuro,overtime')
+            .split(',')
+            .map(p => p.trim().toLowerCase())
+            .filter(Boolean);
+
+        const unknown = protocols.filter(protocol => !PROTOCOL_FACTORIES[protocol]);
+        if (protocols.length === 0 || unknown.length > 0) {
+            const problem = unknown.length > 0 ? `unknown protocol(s) ${unknown.map(p => `"${p}"`).join(', ')}` : 'no protocol listed';
+            throw new Error(`Invalid PROTOCOLS in .env: ${problem}. Expected a comma-separated list of ${Object.keys(PROTOCOL_FACTORIES).join(', ')}`);
+        }
+
+        this.isLoaded = true;
+        for (const protocol of new Set(protocols)) {
+            this.register(PROTOCOL_FACTORIES[protocol]());
+        }
+
+        logger.info(`[Fetcher Registry] Enabled protocols: ${this.protocols().join(', ')}`);
+        return this;
+    }
+
+    /**
+     * Plugs a fetcher in. Throws if it does not implement the fetcher interface.
+     * @param {object} fetcher
+     */
+    register(fetcher) {
+        const missing = FETCHER_INTERFACE.filter(method => typeof fetcher[method] !== 'function');
+        if (!fetcher.protocol || !fetcher.chain || missing.length > 0) {
+            throw new Error(`Fetcher ${fetcher.protocol || fetcher.constructor.name} does not implement the fetcher interface (missing: ${missing.join(', ') || 'protocol/chain'})`);
+        }
+        this.fetchers.set(fetcher.protocol, fetcher);
+    }
+
+    /**
+     * @param {string} protocol
+     * @returns {object} The fetcher of that protocol
+     */
+    get(protocol) {
+        this.loadFromEnv();
+        const fetcher = this.fetchers.get(protocol);
+        if (!fetcher) throw new Error(`Protocol ${protocol} is not enabled (PROTOCOLS)`);
+        return fetcher;
+    }
+
+    has(protocol) {
+        this.loadFromEnv();
+        return this.fetchers.has(protocol);
+    }
+
+    /**
+     * @returns {object[]} Enabled fetchers, reference protocol first
+     */
+    list() {
+        this.loadFromEnv();
+        return [...this.fetchers.values()];
+    }
+
+    protocols() {
+        return [...this.fetchers.keys()];
+    }
+
+    /**
+     * @returns {string} Protocol whose event names are used as the hydration reference
+     */
+    get referenceProtocol() {
+        return this.list()[0].protocol;
+    }
+
+    /**
+     * Instantiates a built-in protocol without enabling it, for one-off scripts on a protocol left out
+     * of PROTOCOLS. Returns the registered fetcher when the protocol is already enabled.
+     * @param {string} protocol
+     * @returns {object}
+     */
+    create(protocol) {
+        const factory = PROTOCOL_FACTORIES[protocol];
+        if (!factory) throw new Error(`Unknown protocol "${protocol}" (${Object.keys(PROTOCOL_FACTORIES).join(', ')})`);
+        return this.fetchers.get(protocol) || factory();
+    }
+
+    /**
+     * @returns {string[]} Distinct chains used by the enabled protocols
+     */
+    chains() {
+        return [...new Set(this.list().map(f => f.chain))];
+    }
+}
+
+module.exports = new FetcherRegistry();
+module.exports.FETCHER_INTERFACE = FETCHER_INTERFACE;
+module.exports.BUILT_IN_PROTOCOLS = Object.keys(PROTOCOL_FACTORIES);
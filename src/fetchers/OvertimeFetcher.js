@@ -1,19 +1,40 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
 const { logger } = require('../engine/ArbitrageEngine');
+const { classifyOvertimeMarket } = require('../utils/marketTaxonomy');
+const { BOOKIE_CHAINS } = require('../config/chains');
+const providerManager = require('../config/ProviderManager');
+const { RESOLUTION } = require('../storage/BetLedger');
+
+const OVERTIME_BET_ABI = [
+    "function buyFromAmm(address market, uint8 position, uint256 amount, uint256 expectedPayout, uint256 additionalSlippage) external"
+];
+
+// Sport market views/actions. Positions are ERC20 tokens of each market; exercising burns them for
+// the payout (winning position, or every position at its refund price when the market was canceled)
+const OVERTIME_MARKET_ABI = [
+    "function paused() view returns (bool)",
+    "function resolved() view returns (bool)",
+    "function cancelled() view returns (bool)",
+    "function finalResult() view returns (uint256)", // 1 = Home, 2 = Away, 3 = Draw
+    "function exerciseOptions() external"
+];
+
+const STABLECOIN_DECIMALS = 6; // USDC Arbitrum
+const OVERTIME_SLIPPAGE_DECIMALS = 18;
 
 const { request, gql } = require('graphql-request');
 
 class OvertimeFetcher {
     /**
      * @param {string} apiUrl - The Overtime API Endpoint
-     * @param {string} rpcUrl - Arbitrum RPC URL for slippage quotes
      * @param {string} ammContractAddress - Overtime Sports AMM address
      */
-    constructor(apiUrl, rpcUrl, ammContractAddress) {
+    constructor(apiUrl, ammContractAddress) {
         this.apiUrl = apiUrl || process.env.OVERTIME_API_URL;
         this.apiKey = process.env.THEGRAPH_API_KEY;
-        this.provider = new ethers.JsonRpcProvider(rpcUrl || process.env.ARBITRUM_RPC_URL);
+        // Arbitrum RPC for slippage quotes, shared through the ProviderManager
+        this.provider = providerManager.getProvider(BOOKIE_CHAINS.overtime);
         this.ammContractAddress = ammContractAddress || process.env.OVERTIME_SPORTS_AMM_ARBITRUM;
 
         // Overtime AMM Minimal ABI for Slippage Quoting
@@ -22,23 +43,48 @@ class OvertimeFetcher {
             "function buyFromAmmQuote(address market, uint8 position, uint256 amount) view returns (uint256)"
         ];
         this.ammContract = new ethers.Contract(this.ammContractAddress, this.ammAbi, this.provider);
+
+        // Fetcher interface metadata (see FetcherRegistry)
+        this.protocol = 'overtime';
+        this.chain = BOOKIE_CHAINS.overtime;
+        this.commission = 0.03;
+        this.stablecoin = {
+            address: process.env.OVERTIME_STABLECOIN_ARBITRUM || "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+            decimals: STABLECOIN_DECIMALS,
+            symbol: 'USDC'
+        };
+        this.spender = this.ammContractAddress;
+        this.betAction = 'buyFromAmm';
+        this.maxSlippage = parseFloat(process.env.OVERTIME_MAX_SLIPPAGE || "0.02");
+
+        // Live quotes need an Arbitrum RPC set in .env; without it the subgraph odds are used as-is
+        this.hasLiveQuotes = providerManager.hasConfiguredRpc(this.chain);
     }
 
     /**
      * PHASE 1: DISCOVERY
      * Fetches active matches via TheGraph API to build the initial Dictionary Hydration map.
+     * Child markets (spreads, totals) are returned alongside their parent winner market,
+     * each one with its own market address, market type and line.
      */
     async fetchActiveEvents() {
         try {
             logger.debug(`OvertimeFetcher: Fetching active events from TheGraph API (${this.apiUrl})...`);
 
             const query = gql`{
-              sportMarkets(first: 150, where: { isOpen: true, isCanceled: false, isPaused: false }, orderBy: maturityDate, orderDirection: asc) {
+              sportMarkets(first: 500, where: { isOpen: true, isCanceled: false, isPaused: false }, orderBy: maturityDate, orderDirection: asc) {
                 address
+                parentMarket
+                betType
+                spread
+                total
                 maturityDate
                 homeTeam
                 awayTeam
                 tags
+                homeOdds
+                awayOdds
+                drawOdds
               }
             }`;
 
@@ -94,16 +140,31 @@ class OvertimeFetcher {
                         sportName = overtimeTagToSport[primaryTag] || `Unknown (${primaryTag})`;
                     }
 
+                    const market = classifyOvertimeMarket(e);
+                    if (!market) continue; // Unsupported child market type
+
+                    // Subgraph odds are implied probabilities (1e18 = 100%). Positions: 0 Home/Over, 1 Away/Under, 2 Draw.
+                    // A market only has a Draw position when drawOdds is non-zero (three-way soccer markets).
+                    const odds = [e.homeOdds, e.awayOdds];
+                    if (e.drawOdds && BigInt(e.drawOdds) > 0n) odds.push(e.drawOdds);
+                    const decimalOdds = odds.map(o => this._impliedProbabilityToDecimal(o));
+
                     const marketObj = {
                         id: e.address, // Market Contract Address on Arbitrum
                         protocol: 'overtime',
+                        parentMarket: e.parentMarket || null, // Set on child markets only
                         name: eventName,
                         sport: sportName,
-                        marketName: 'Match Winner', // Baseline dictionary enforcement
+                        marketName: market.marketKey,
+                        marketType: market.marketType,
+                        line: market.line,
+                        marketKey: market.marketKey,
+                        outcomeLabels: market.outcomeLabels,
                         startTime: startTimeUnix,
-                        // We extract dummy/API odds here just to satisfy the array length requirements initially.
+                        // Indicative subgraph odds, good enough to pre-screen pairs by margin.
                         // We will overlay EXACT on-chain slippage logic in Phase 2 via RPCs.
-                        odds: [2.0, 2.0]
+                        odds: decimalOdds,
+                        hasDraw: decimalOdds.length === 3
                     };
 
                     discoveredMarkets.push(marketObj);
@@ -121,6 +182,16 @@ class OvertimeFetcher {
         }
     }
 
+    /**
+     * Converts a subgraph implied probability (1e18 precision) to a decimal odd.
+     * Returns 0 for a missing or zero probability (position not tradable).
+     */
+    _impliedProbabilityToDecimal(rawProbability) {
+        if (!rawProbability) return 0;
+        const probability = parseFloat(ethers.formatUnits(BigInt(rawProbability), 18));
+        return probability > 0 ? Number((1 / probability).toFixed(3)) : 0;
+    }
+
     /**
      * PHASE 2: VALIDATION
      * Performs a direct JSON-RPC call to the Arbitrum Overtime AMM using ethers.js
@@ -155,6 +226,117 @@ class OvertimeFetcher {
             return { isFrozen: true, odds: [] };
         }
     }
+
+    /**
+     * Samples the AMM price-impact curve: implied decimal odd for a single position at a given stake.
+     * @param {string} marketAddress
+     * @param {number} position - 0 Home, 1 Away, 2 Draw
+     * @param {number} stakeUsd
+     * @returns {Promise<number>} Decimal odd (reverts propagate to the caller)
+     */
+    async getQuoteAtStake(marketAddress, position, stakeUsd) {
+        const amountWei = ethers.parseUnits(stakeUsd.toFixed(6), 6); // USDC Arbitrum is 6 decimals
+        const quoteWei = await this.ammContract.buyFromAmmQuote(marketAddress, position, amountWei);
+        const quoteUsdc = parseFloat(ethers.formatUnits(quoteWei, 6));
+        return quoteUsdc > 0 ? stakeUsd / quoteUsdc : 0;
+    }
+
+    /**
+     * Fetcher interface: live odds of a discovered market at the intended stake, in position order.
+     * @param {object} event - Normalized event from fetchActiveEvents
+     * @param {number} stakeUsd
+     * @returns {Promise<{ isFrozen: boolean, odds: number[] }>}
+     */
+    async getLiveOdds(event, stakeUsd) {
+        if (!this.hasLiveQuotes) return { isFrozen: false, odds: event.odds };
+        return this.getLatestOddsFromContract(event.id, Number(stakeUsd.toFixed(6)));
+    }
+
+    /**
+     * Fetcher interface: decimal odd of a single position at a given stake.
+     */
+    async quoteOutcome(event, position, stakeUsd) {
+        return this.getQuoteAtStake(event.id, position, stakeUsd);
+    }
+
+    /**
+     * Fetcher interface: priority fee overrides applied when broadcasting on Arbitrum.
+     */
+    async getTxOverrides(provider, cachedFeeData = null) {
+        // Frais de réseau pré-chargés par le SignerPool, sinon récupérés, puis "Boost" de priorité
+        const feeData = cachedFeeData || await provider.getFeeData();
+        return {
+            maxFeePerGas: feeData.maxFeePerGas,
+            // On ajoute un tout petit bonus pour que le validateur nous choisisse en premier
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas + ethers.parseUnits("0.01", "gwei")
+        };
+    }
+
+    /**
+     * Fetcher interface: raw buyFromAmm transaction for a leg, quoting the expected payout first.
+     * additionalSlippage is derived from the arbitrage margin, capped by OVERTIME_MAX_SLIPPAGE.
+     * @param {object} leg - { matchId (market address), outcomeIndex (position), stake }
+     * @param {{ provider: ethers.Provider, maxOddsDrop: number }} context
+     */
+    async buildBetTx(leg, { provider, maxOddsDrop = 0 } = {}) {
+        const marketAddress = leg.matchId;
+        const stakeWei = ethers.parseUnits(leg.stake.toFixed(STABLECOIN_DECIMALS), STABLECOIN_DECIMALS);
+        const overtimeAmm = new ethers.Contract(this.ammContractAddress, [...this.ammAbi, ...OVERTIME_BET_ABI], provider || this.provider);
+
+        // Gain minimum attendu (Sécurité Anti-Sandwich)
+        const expectedPayoutWei = await overtimeAmm.buyFromAmmQuote(marketAddress, leg.outcomeIndex, stakeWei);
+
+        // Slippage en wei (1e18 = 100%), bornée par la marge de l'arbitrage
+        const slippage = Math.min(this.maxSlippage, maxOddsDrop);
+        const additionalSlippage = ethers.parseUnits(slippage.toFixed(OVERTIME_SLIPPAGE_DECIMALS), OVERTIME_SLIPPAGE_DECIMALS);
+
+        return {
+            to: this.ammContractAddress,
+            data: overtimeAmm.interface.encodeFunctionData('buyFromAmm', [
+                marketAddress,
+                leg.outcomeIndex,
+                stakeWei,
+                expectedPayoutWei, // <-- Le correctif vital ici
+                additionalSlippage
+            ])
+        };
+    }
+
+    /**
+     * Fetcher interface: reason the market no longer accepts bets, or null if open.
+     */
+    async getMarketStatus(leg, provider) {
+        const market = new ethers.Contract(leg.matchId, OVERTIME_MARKET_ABI, provider);
+        const [paused, resolved, cancelled] = await Promise.all([market.paused(), market.resolved(), market.cancelled()]);
+        if (paused) return 'paused';
+        if (resolved) return 'resolved';
+        if (cancelled) return 'cancelled';
+        return null;
+    }
+
+    /**
+     * Fetcher interface: on-chain resolution of a placed leg.
+     * @returns {Promise<string>} One of RESOLUTION
+     */
+    async getLegResolution(leg, provider) {
+        const market = new ethers.Contract(leg.matchId, OVERTIME_MARKET_ABI, provider);
+        const [resolved, cancelled] = await Promise.all([market.resolved(), market.cancelled()]);
+
+        if (cancelled) return RESOLUTION.REFUNDED;
+        if (!resolved) return RESOLUTION.OPEN;
+
+        // Overtime positions are 0 = Home, 1 = Away, 2 = Draw; finalResult is 1-based
+        const finalResult = Number(await market.finalResult());
+        return finalResult === Number(leg.outcomeIndex) + 1 ? RESOLUTION.WON : RESOLUTION.LOST;
+    }
+
+    /**
+     * Fetcher interface: exercise transaction on the exact sport market the position was bought on.
+     */
+    buildClaimTx(leg) {
+        const market = new ethers.Interface(OVERTIME_MARKET_ABI);
+        return { to: leg.matchId, data: market.encodeFunctionData('exerciseOptions') };
+    }
 }
 
 module.exports = OvertimeFetcher;
@@ -0,0 +1,290 @@
+const { logger } = require('../engine/ArbitrageEngine');
+const Journal = require('./Journal');
+
+// Lifecycle of a single leg, from broadcast to final settlement
+const LEG_STATES = {
+    PENDING: 'pending',     // Recorded before broadcasting
+    PLACED: 'placed',       // Bet is on-chain, waiting for match resolution
+    FAILED: 'failed',       // Broadcast reverted, nothing at stake
+    CLAIMED: 'claimed',     // Payout withdrawn
+    LOST: 'lost',           // Market resolved against us, closed out with its final P&L
+    SETTLED: 'settled'      // Paper (DRY_RUN) leg closed against the real match result
+};
+
+const OPEN_LEG_STATES = [LEG_STATES.PENDING, LEG_STATES.PLACED];
+
+// Final status of a leg once its market is settled on-chain
+const RESOLUTION = {
+    OPEN: 'open',
+    WON: 'won',
+    LOST: 'lost',
+    REFUNDED: 'refunded'
+};
+
+/**
+ * Bet Ledger
+ * Durable, append-only JSON-lines journal of every arbitrage and every leg.
+ * Each line is either a full `arbitrage` record or a `leg` patch; the current state
+ * is rebuilt by replaying the journal, so a crash can never corrupt earlier entries.
+ * Configured by LEDGER_DATA_DIR (.env), defaults to ./data.
+ */
+class BetLedger {
+    constructor() {
+        this.journal = new Journal('bet_ledger.jsonl');
+        this.journalPath = this.journal.path;
+
+        this.arbitrages = new Map(); // arbId -> arbitrage record
+        this.legs = new Map(); // legId -> leg record (shared reference with its arbitrage)
+        this.isLoaded = false;
+    }
+
+    /**
+     * Replays the journal from disk. Safe to call multiple times.
+     */
+    load() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+
+        if (!this.journal.exists()) {
+            logger.info(`[Bet Ledger] No journal found at ${this.journalPath}. Starting fresh.`);
+            return;
+        }
+
+        const skipped = this.journal.replay(entry => this._apply(entry));
+
+        logger.info(`[Bet Ledger] Rehydrated ${this.arbitrages.size} arbitrage(s) / ${this.legs.size} leg(s) from journal${skipped ? ` (${skipped} corrupt line(s) skipped)` : ''}.`);
+    }
+
+    /**
+     * Records a new arbitrage with all its legs in the PENDING state.
+     * @param {object} arbitrageResult - Output of calculateMultiProtocolArbitrage (with matchId/betKey attached)
+     * @param {object} [options]
+     * @param {boolean} [options.paper=false] - DRY_RUN fill recorded into the paper portfolio
+     * @returns {object} The stored arbitrage record
+     */
+    recordArbitrage(arbitrageResult, { paper = false } = {}) {
+        this.load();
+
+        const arbId = `${arbitrageResult.matchId}_${Date.now()}`;
+        const entry = {
+            type: 'arbitrage',
+            ts: new Date().toISOString(),
+            arbId,
+            betKey: arbitrageResult.betKey || null,
+            paper,
+            matchId: arbitrageResult.matchId,
+            eventName: arbitrageResult.eventName || null,
+            eventId: arbitrageResult.eventId || null,
+            gameId: arbitrageResult.gameId || null,
+            marketKey: arbitrageResult.marketKey || null,
+            sport: arbitrageResult.sport || null,
+            profitPercentage: arbitrageResult.profitPercentage,
+            expectedProfit: arbitrageResult.minNetProfit,
+            gasCosts: arbitrageResult.gasCosts || 0,
+            legs: arbitrageResult.legs.map((leg, i) => this._buildLeg(arbId, i, leg, arbitrageResult.matchId, { paper }))
+        };
+
+        this._append(entry);
+        return this.arbitrages.get(arbId);
+    }
+
+    /**
+     * Adds a leg to an existing arbitrage (e.g. a hedge placed after a partial fill).
+     * @param {string} arbId
+     * @param {object} leg - Leg in calculateMultiProtocolArbitrage format
+     * @param {object} [extra] - Additional fields stored on the leg (e.g. { hedge: true })
+     * @returns {object} The stored leg record
+     */
+    appendLeg(arbId, leg, extra = {}) {
+        this.load();
+
+        const arbitrage = this.arbitrages.get(arbId);
+        const record = this._buildLeg(arbId, arbitrage.legs.length, leg, arbitrage.matchId, { paper: arbitrage.paper, ...extra });
+
+        this._append({ type: 'leg_added', ts: new Date().toISOString(), arbId, leg: record });
+        return this.legs.get(record.legId);
+    }
+
+    /**
+     * Records the outcome of a partial-fill recovery attempt on an arbitrage.
+     * @param {string} arbId
+     * @param {object} recovery - { action: 'hedged' | 'naked', reason, ... }
+     * @returns {object} The stored recovery entry
+     */
+    recordRecovery(arbId, recovery) {
+        this.load();
+
+        const entry = { type: 'recovery', ts: new Date().toISOString(), arbId, ...recovery };
+        this._append(entry);
+        return entry;
+    }
+
+    /**
+     * Records a replacement of one of a leg's transactions (speed-up or cancellation of a stuck
+     * approve / bet / claim), next to the leg it belongs to.
+     * @param {string} legId
+     * @param {object} replacement - { kind: 'speed-up' | 'cancel', tx, nonce, replacedHash, hash, fees }
+     * @returns {object|null} The stored replacement entry
+     */
+    recordReplacement(legId, replacement) {
+        this.load();
+
+        if (!this.legs.has(legId)) {
+            logger.warn(`[Bet Ledger] Unknown leg ${legId}. Replacement ${replacement.hash} not recorded.`);
+            return null;
+        }
+
+        const entry = { type: 'replacement', ts: new Date().toISOString(), legId, ...replacement };
+        this._append(entry);
+        return entry;
+    }
+
+    /**
+     * Arbitrages whose last recovery attempt left an unhedged position.
+     * @returns {object[]}
+     */
+    getNakedExposures() {
+        this.load();
+        return [...this.arbitrages.values()].filter((arb) => {
+            const recoveries = arb.recoveries || [];
+            const last = recoveries[recoveries.length - 1];
+            return last && last.action === 'naked';
+        });
+    }
+
+    /**
+     * Applies a partial update to a leg (state transition, tx hash, payout...).
+     * @param {string} legId
+     * @param {object} patch
+     */
+    updateLeg(legId, patch) {
+        this.load();
+
+        if (!this.legs.has(legId)) {
+            logger.warn(`[Bet Ledger] Unknown leg ${legId}. Update ignored.`);
+            return null;
+        }
+
+        this._append({ type: 'leg', ts: new Date().toISOString(), legId, ...patch });
+        return this.legs.get(legId);
+    }
+
+    /**
+     * Dedup keys (member event ids) of every arbitrage that put something at stake.
+     * An arbitrage whose legs all FAILED left nothing on-chain and may be attempted again.
+     * @returns {Set<string>}
+     */
+    getPlacedBetKeys() {
+        this.load();
+        const keys = new Set();
+        for (const arb of this.arbitrages.values()) {
+            if (arb.betKey && arb.legs.some(leg => leg.state !== LEG_STATES.FAILED)) keys.add(arb.betKey);
+        }
+        return keys;
+    }
+
+    /**
+     * Legs that are on-chain and still waiting for a payout.
+     * @returns {object[]}
+     */
+    getClaimableLegs() {
+        this.load();
+        return [...this.legs.values()].filter(leg => leg.state === LEG_STATES.PLACED);
+    }
+
+    /**
+     * Legs that have not reached a final state yet.
+     * @returns {object[]}
+     */
+    getOpenLegs() {
+        this.load();
+        return [...this.legs.values()].filter(leg => OPEN_LEG_STATES.includes(leg.state));
+    }
+
+    /**
+     * Aggregated performance of the paper portfolio (DRY_RUN fills).
+     * @returns {{ open: number, settled: number, staked: number, pnl: number }}
+     */
+    getPaperSummary() {
+        this.load();
+        const summary = { open: 0, settled: 0, staked: 0, pnl: 0 };
+
+        for (const leg of this.legs.values()) {
+            if (!leg.paper) continue;
+            if (leg.state === LEG_STATES.PLACED) summary.open++;
+            if (leg.state === LEG_STATES.SETTLED) {
+                summary.settled++;
+                summary.staked += leg.stake;
+                summary.pnl += leg.pnl || 0;
+            }
+        }
+
+        return summary;
+    }
+
+    _buildLeg(arbId, index, leg, fallbackMatchId, extra) {
+        return {
+            legId: `${arbId}:${index}`,
+            matchId: leg.matchId || fallbackMatchId,
+            bookie: leg.bookie,
+            chain: this._chainOf(leg.bookie),
+            outcomeIndex: leg.outcomeIndex, // Protocol-native (Azuro outcome id / Overtime position)
+            label: leg.label || null, // Real-world outcome (home / draw / away)
+            stake: leg.stake,
+            odds: leg.rawOdd,
+            gas: leg.gas || null, // Expected USD gas: { bet, approve, claim }
+            txHash: null,
+            paper: false,
+            ...extra,
+            state: LEG_STATES.PENDING
+        };
+    }
+
+    /**
+     * Settlement chain of the registered fetcher (the registry requires the fetchers, hence the late require).
+     */
+    _chainOf(protocol) {
+        const fetcherRegistry = require('../fetchers/FetcherRegistry');
+        return fetcherRegistry.has(protocol) ? fetcherRegistry.get(protocol).chain : 'unknown';
+    }
+
+    _append(entry) {
+        this.journal.append(entry, e => this._apply(e));
+    }
+
+    _apply(entry) {
+        if (entry.type === 'arbitrage') {
+            const { type, ...record } = entry;
+            this.arbitrages.set(record.arbId, record);
+            for (const leg of record.legs) {
+                leg.arbId = record.arbId;
+                this.legs.set(leg.legId, leg);
+            }
+        } else if (entry.type === 'leg_added') {
+            const arbitrage = this.arbitrages.get(entry.arbId);
+            if (!arbitrage) return;
+            const leg = { ...entry.leg, arbId: entry.arbId };
+            arbitrage.legs.push(leg);
+            this.legs.set(leg.legId, leg);
+        } else if (entry.type === 'recovery') {
+            const arbitrage = this.arbitrages.get(entry.arbId);
+            if (!arbitrage) return;
+            const { type, arbId, ...recovery } = entry;
+            arbitrage.recoveries = [...(arbitrage.recoveries || []), recovery];
+        } else if (entry.type === 'replacement') {
+            const leg = this.legs.get(entry.legId);
+            if (!leg) return;
+            const { type, legId, ...replacement } = entry;
+            leg.replacements = [...(leg.replacements || []), replacement];
+        } else if (entry.type === 'leg') {
+            const leg = this.legs.get(entry.legId);
+            if (!leg) return;
+            const { type, legId, ts, ...patch } = entry;
+            Object.assign(leg, patch, { updatedAt: ts });
+        }
+    }
+}
+
+module.exports = new BetLedger();
+module.exports.LEG_STATES = LEG_STATES;
+module.exports.RESOLUTION = RESOLUTION;
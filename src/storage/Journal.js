@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Journal
+ * Append-only JSON-lines file behind the stores of src/storage (Bet Ledger, team matches, match reviews).
+ * Entries are read from the byte offset already replayed, so lines appended by another process
+ * (e.g. the review CLI while the bot runs) are picked up on the next replay. Only complete lines are
+ * read; a torn last line (crash mid-write) is terminated by the next append and then skipped as corrupt
+ * instead of preventing startup or swallowing the entry written after it.
+ * Lives in LEDGER_DATA_DIR (.env), defaults to ./data.
+ */
+class Journal {
+    /**
+     * @param {string} fileName - e.g. 'bet_ledger.jsonl'
+     */
+    constructor(fileName) {
+        this.dataDir = process.env.LEDGER_DATA_DIR || path.join(process.cwd(), 'data');
+        this.path = path.join(this.dataDir, fileName);
+        this.offset = 0; // Bytes of the file already replayed (always on a line boundary)
+    }
+
+    exists() {
+        return fs.existsSync(this.path);
+    }
+
+    /**
+     * Applies every complete line written since the last replay.
+     * @param {function(object)} apply - Store handler of one parsed entry
+     * @returns {number} Number of corrupt lines skipped
+     */
+    replay(apply) {
+        const pending = this._readPending();
+        const end = pending.lastIndexOf('\n') + 1;
+        if (end === 0) return 0;
+
+        let skipped = 0;
+        for (const line of pending.subarray(0, end).toString('utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                apply(JSON.parse(line));
+            } catch (e) {
+                skipped++;
+            }
+        }
+        this.offset += end;
+        return skipped;
+    }
+
+    /**
+     * Appends one entry (a single write), after the lines another process wrote since the last replay.
+     * @param {object} entry
+     * @param {function(object)} apply - Store handler, called with the entry once it is on disk
+     */
+    append(entry, apply) {
+        this.replay(apply);
+
+        // Bytes left after the last complete line can only be a torn write: end that line first
+        const torn = this._readPending().length > 0 ? '\n' : '';
+        const line = torn + JSON.stringify(entry) + '\n';
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        fs.appendFileSync(this.path, line);
+        this.replay(apply);
+    }
+
+    /**
+     * @returns {Buffer} Bytes of the file after the replayed offset
+     */
+    _readPending() {
+        if (!this.exists()) return Buffer.alloc(0);
+
+        const fd = fs.openSync(this.path, 'r');
+        try {
+            const size = fs.fstatSync(fd).size;
+            const pending = Buffer.alloc(Math.max(0, size - this.offset));
+            if (pending.length > 0) fs.readSync(fd, pending, 0, pending.length, this.offset);
+            return pending;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+module.exports = Journal;
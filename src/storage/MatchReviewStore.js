@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { logger } = require('../engine/ArbitrageEngine');
+const Journal = require('./Journal');
+
+// Operator decisions on a queued pair
+const REVIEW_DECISIONS = {
+    APPROVED: 'approved',   // Same event: traded on later cycles (this fixture only)
+    REJECTED: 'rejected',   // Different events: this fixture is never paired again
+    ALIASED: 'aliased'      // Same teams: team names persisted in TeamMatchStore, every fixture matches
+};
+
+/**
+ * Match Review Store
+ * Durable, append-only JSON-lines journal of the event pairs whose hydration score fell in the
+ * grey zone around the matching threshold. Such pairs are not traded until an operator decides
+ * (scripts/review_matches.js); decisions are read back by hydrateDictionaryByCompositeKey.
+ * A review covers one fixture: the same names on another day (return leg, next season) are queued
+ * again. Only an alias is permanent, through the team names it writes to the TeamMatchStore.
+ * Lives next to the Bet Ledger (LEDGER_DATA_DIR, defaults to ./data).
+ */
+class MatchReviewStore {
+    constructor() {
+        this.journal = new Journal('match_reviews.jsonl');
+
+        this.reviews = new Map(); // reviewId -> review record (with its decision once taken)
+        this.isLoaded = false;
+    }
+
+    /**
+     * Replays the journal from disk. Safe to call multiple times.
+     */
+    load() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+
+        const skipped = this.journal.replay(entry => this._apply(entry));
+        logger.info(`[Match Review] Rehydrated ${this.reviews.size} review(s) from journal (${this.getPending().length} pending)${skipped ? ` (${skipped} corrupt line(s) skipped)` : ''}.`);
+    }
+
+    /**
+     * Replays the lines appended since the last read, e.g. by the review CLI while the bot runs.
+     */
+    sync() {
+        this.load();
+        this.journal.replay(entry => this._apply(entry));
+    }
+
+    /**
+     * Stable id of a pair of event names on one fixture, independent of their markets.
+     * @param {number} startTimeA - Unix start time of the reference event; its UTC day identifies the fixture
+     */
+    reviewId(sport, nameA, nameB, startTimeA) {
+        const day = startTimeA ? new Date(Number(startTimeA) * 1000).toISOString().slice(0, 10) : 'unknown';
+        const key = [String(sport || 'unknown').toLowerCase(), nameA, nameB, day].join('|').toLowerCase();
+        return crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+    }
+
+    /**
+     * @returns {string|null} One of REVIEW_DECISIONS, or null when pending / never queued
+     */
+    getDecision(sport, nameA, nameB, startTimeA) {
+        this.load();
+        const review = this.reviews.get(this.reviewId(sport, nameA, nameB, startTimeA));
+        return (review && review.decision) || null;
+    }
+
+    /**
+     * Queues a grey-zone pair for review. No-op when the pair is already queued or decided.
+     * @param {object} pair - { sport, protocolA, protocolB, nameA, nameB, startTimeA, startTimeB, score, isSwapped, teamPairs }
+     * @returns {object|null} The new review record, or null when already known
+     */
+    submit(pair) {
+        this.load();
+        const reviewId = this.reviewId(pair.sport, pair.nameA, pair.nameB, pair.startTimeA);
+        if (this.reviews.has(reviewId)) return null;
+
+        this._append({ type: 'review', ts: new Date().toISOString(), reviewId, ...pair });
+        logger.warn(`[Match Review] ⏸️ [${pair.sport}] "${pair.nameA}" ↔ "${pair.nameB}" (Score: ${pair.score.toFixed(2)}) queued for manual review [${reviewId}].`);
+        return this.reviews.get(reviewId);
+    }
+
+    /**
+     * Records the operator decision on a queued pair.
+     * @param {string} reviewId
+     * @param {string} decision - One of REVIEW_DECISIONS
+     * @returns {object} The updated review record
+     */
+    decide(reviewId, decision) {
+        this.load();
+        if (!this.reviews.has(reviewId)) throw new Error(`Unknown review ${reviewId}`);
+        if (!Object.values(REVIEW_DECISIONS).includes(decision)) throw new Error(`Unknown decision ${decision}`);
+
+        this._append({ type: 'decision', ts: new Date().toISOString(), reviewId, decision });
+        return this.reviews.get(reviewId);
+    }
+
+    get(reviewId) {
+        this.load();
+        return this.reviews.get(reviewId) || null;
+    }
+
+    /**
+     * @returns {object[]} Reviews still waiting for a decision, oldest first
+     */
+    getPending() {
+        this.load();
+        return [...this.reviews.values()].filter(review => !review.decision);
+    }
+
+    _append(entry) {
+        this.journal.append(entry, e => this._apply(e));
+    }
+
+    _apply(entry) {
+        if (entry.type === 'review') {
+            const { type, ...record } = entry;
+            this.reviews.set(record.reviewId, { ...record, decision: null });
+        } else if (entry.type === 'decision') {
+            const review = this.reviews.get(entry.reviewId);
+            if (review) {
+                review.decision = entry.decision;
+                review.decidedAt = entry.ts;
+            }
+        }
+    }
+}
+
+module.exports = new MatchReviewStore();
+module.exports.REVIEW_DECISIONS = REVIEW_DECISIONS;
@@ -0,0 +1,80 @@
+const { logger } = require('../engine/ArbitrageEngine');
+const Journal = require('./Journal');
+
+/**
+ * Team Match Store
+ * Durable, append-only JSON-lines journal of the team names confirmed by an operator as the same
+ * team across protocols ("man utd" on one protocol = "manchester united" on another).
+ * Replayed on startup so a confirmed pair is recognised instantly on every later cycle. Entries
+ * learned automatically from fuzzy matches by earlier versions (source "learned") are ignored.
+ * Lives next to the Bet Ledger (LEDGER_DATA_DIR, defaults to ./data).
+ */
+class TeamMatchStore {
+    constructor() {
+        this.journal = new Journal('team_matches.jsonl');
+
+        this.teams = new Map(); // sport -> Map(normalized team name -> canonical name)
+        this.isLoaded = false;
+    }
+
+    /**
+     * Replays the journal from disk. Safe to call multiple times.
+     */
+    load() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+
+        const skipped = this.journal.replay(entry => this._apply(entry));
+        const count = [...this.teams.values()].reduce((sum, names) => sum + names.size, 0);
+        logger.info(`[Team Matches] Rehydrated ${count} confirmed team name(s) from journal${skipped ? ` (${skipped} corrupt line(s) skipped)` : ''}.`);
+    }
+
+    /**
+     * Replays the lines appended since the last read, e.g. by the review CLI while the bot runs.
+     */
+    sync() {
+        this.load();
+        this.journal.replay(entry => this._apply(entry));
+    }
+
+    /**
+     * @param {string} sport - Lowercase sport name
+     * @param {string} name - Normalized team name
+     * @returns {string|null} Canonical name this team was confirmed as, or null
+     */
+    getTeam(sport, name) {
+        this.load();
+        const names = this.teams.get(sport);
+        return (names && names.get(name)) || null;
+    }
+
+    /**
+     * Records that `name` is the same team as `canonical`. No-op when already known.
+     * @param {string} sport - Lowercase sport name
+     * @param {string} name - Normalized team name as seen on one protocol
+     * @param {string} canonical - Canonical name (reference protocol side)
+     * @param {string} [source='operator'] - Where the mapping comes from
+     * @returns {boolean} true when a new mapping was written
+     */
+    confirmTeam(sport, name, canonical, source = 'operator') {
+        this.load();
+        if (!name || !canonical || name === canonical || this.getTeam(sport, name) === canonical) return false;
+
+        this._append({ type: 'team', ts: new Date().toISOString(), sport, name, canonical, source });
+        logger.info(`[Team Matches] [${sport}] Confirmed "${name}" = "${canonical}" (${source}).`);
+        return true;
+    }
+
+    _append(entry) {
+        this.journal.append(entry, e => this._apply(e));
+    }
+
+    _apply(entry) {
+        if (entry.type === 'team' && entry.source !== 'learned') {
+            if (!this.teams.has(entry.sport)) this.teams.set(entry.sport, new Map());
+            this.teams.get(entry.sport).set(entry.name, entry.canonical);
+        }
+    }
+}
+
+module.exports = new TeamMatchStore();
@@ -0,0 +1,14 @@
+/**
+ * Azuro V3 subgraphs return composite ids like `coreAddress_conditionId`.
+ * Contracts only accept the numeric condition id part.
+ * @param {string|number|bigint} conditionId
+ * @returns {string|number|bigint}
+ */
+function parseConditionId(conditionId) {
+    if (typeof conditionId === 'string' && conditionId.includes('_')) {
+        return conditionId.split('_')[1];
+    }
+    return conditionId;
+}
+
+module.exports = { parseConditionId };
@@ -3,12 +3,21 @@
  * 
  * This module solves the problem of missing text data on-chain (like Dexsport's bytes32 IDs)
  * by using an Oracle/Subgraph source (like Azuro) that contains the full text data.
- * It matches events across platforms using Intelligent Fuzzy Matching grouped by Sport.
+ * It matches events across platforms using Intelligent Fuzzy Matching grouped by Sport,
+ * comparing the two teams one by one after normalization and alias resolution (see teamNames).
+ * Pairs scored in the grey zone around the threshold wait for an operator decision (MatchReviewStore);
+ * team aliases confirmed by an operator are persisted (TeamMatchStore) and resolved before scoring.
+ * Automatic matches are never persisted: a false positive must not outlive the cycle that made it.
  * 
  * Uses a built-in Dice's Coefficient algorithm instead of external dependencies.
  */
 
 const { logger } = require('../engine/ArbitrageEngine');
+const { orientMarketKey } = require('./marketTaxonomy');
+const { resolveTeams } = require('./teamNames');
+const teamMatchStore = require('../storage/TeamMatchStore');
+const matchReviewStore = require('../storage/MatchReviewStore');
+const { REVIEW_DECISIONS } = require('../storage/MatchReviewStore');
 
 /**
  * Pure JS implementation of Dice's Coefficient for string similarity.
@@ -38,93 +47,238 @@ function diceCoefficient(s1, s2) {
     return (2.0 * intersection) / ((s1.length - 1) + (s2.length - 1));
 }
 
+// Squad variants that must never be matched with the first team ("Arsenal U21" is not "Arsenal")
+const TEAM_VARIANT_TOKENS = new Set(['u17', 'u18', 'u19', 'u20', 'u21', 'u23', 'women', 'w', 'ii', 'b', 'reserves']);
+
 /**
- * Find the best match for `mainString` among an array of `targetStrings`.
- * Returns { bestMatch: { target, rating }, bestMatchIndex }.
+ * Similarity of two canonical team names (0.0 - 1.0).
  */
-function findBestMatch(mainString, targetStrings) {
-    let bestRating = 0;
-    let bestIndex = 0;
-    let bestTarget = '';
-
-    for (let i = 0; i < targetStrings.length; i++) {
-        const rating = diceCoefficient(mainString, targetStrings[i]);
-        if (rating > bestRating) {
-            bestRating = rating;
-            bestIndex = i;
-            bestTarget = targetStrings[i];
-        }
+function teamScore(teamA, teamB) {
+    if (teamA === teamB) return 1;
+
+    const variants = (team) => team.split(' ').filter(t => TEAM_VARIANT_TOKENS.has(t)).sort().join(' ');
+    if (variants(teamA) !== variants(teamB)) return 0;
+
+    return diceCoefficient(teamA, teamB);
+}
+
+/**
+ * Compares two names of an event team by team, in both home/away orientations.
+ * The event score is the weakest of its two team scores, so one similar club name is not enough.
+ * @returns {{ rating: number, isSwapped: boolean, teamPairs: Array<[string, string]> | null }}
+ *   teamPairs lists the [teamA, teamB] canonical names matched together (null when the names cannot be split)
+ */
+function scoreEventNames(sport, nameA, nameB) {
+    const teamsA = resolveTeams(sport, nameA);
+    const teamsB = resolveTeams(sport, nameB);
+    if (!teamsA || !teamsB) {
+        // Outrights, single-participant names...: whole-name comparison
+        return { rating: diceCoefficient(cleanStr(nameA), cleanStr(nameB)), isSwapped: false, teamPairs: null };
     }
 
+    const direct = Math.min(teamScore(teamsA[0], teamsB[0]), teamScore(teamsA[1], teamsB[1]));
+    const crossed = Math.min(teamScore(teamsA[0], teamsB[1]), teamScore(teamsA[1], teamsB[0]));
+    const isSwapped = crossed > direct;
+
     return {
-        bestMatch: { target: bestTarget, rating: bestRating },
-        bestMatchIndex: bestIndex
+        rating: Math.max(direct, crossed),
+        isSwapped,
+        teamPairs: isSwapped
+            ? [[teamsA[0], teamsB[1]], [teamsA[1], teamsB[0]]]
+            : [[teamsA[0], teamsB[0]], [teamsA[1], teamsB[1]]]
     };
 }
 
-function hydrateDictionaryByCompositeKey(azuroEvents, targetEvents) {
-    logger.debug("Hydrating On-Chain markets with Azuro names via Sport-First Fuzzy Matching...");
-    const matchedPairs = [];
+/**
+ * Detects whether two names of the same event list the teams in opposite home/away order,
+ * by comparing the teams one by one in both orientations.
+ */
+function detectSwappedTeams(nameA, nameB, sport) {
+    return scoreEventNames(sport, nameA, nameB).isSwapped;
+}
 
-    // PHASE 1: Group Target Events (Overtime) by Sport to reduce scope
-    const targetBySport = {};
-    for (const targetEvent of targetEvents) {
-        const sport = (targetEvent.sport || "unknown").toLowerCase();
-        if (!targetBySport[sport]) {
-            targetBySport[sport] = [];
-        }
-        targetBySport[sport].push(targetEvent);
-    }
+const cleanStr = (s) => String(s).toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
 
-    const sportBuckets = Object.keys(targetBySport);
-    logger.debug(`[Hydration] Phase 1 Complete. Overtime Sport Buckets: [${sportBuckets.join(', ')}]`);
+// Minimum Dice score for two whole event names (when they cannot be split into teams)
+const MIN_NAME_RATING = 0.45;
+// Minimum score of EACH team for two event names to be considered the same event
+const MIN_TEAM_RATING = parseFloat(process.env.HYDRATION_MIN_TEAM_SCORE || "0.78");
+// Half-width of the grey zone around the threshold: pairs scored within it are queued for manual review (0 disables)
+const REVIEW_MARGIN = parseFloat(process.env.HYDRATION_REVIEW_MARGIN || "0.08");
+// Maximum start time gap (hours) between two listings of the same event
+const MAX_START_GAP_HOURS = 36;
 
-    let hydratedCount = 0;
-    const cleanStr = (s) => String(s).toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
+/**
+ * Groups markets by sport, then by cleaned event name (parent + child markets of one event).
+ * Input events are left untouched.
+ * @returns {Object<string, Object<string, object[]>>} sport -> event name -> markets
+ */
+function groupBySportAndName(events) {
+    const bySport = {};
+    for (const event of events) {
+        const sport = (event.sport || "unknown").toLowerCase();
+        const eventName = cleanStr(event.name);
+        if (eventName.length < 2) continue;
 
-    // PHASE 2: Iterate through Azuro Events and Fuzzy Match within the same Sport Bucket
-    for (const azuroEvent of azuroEvents) {
-        const sport = (azuroEvent.sport || "unknown").toLowerCase();
-        const matchingTargetEvents = targetBySport[sport];
+        if (!bySport[sport]) bySport[sport] = {};
+        if (!bySport[sport][eventName]) bySport[sport][eventName] = [];
+        bySport[sport][eventName].push(event);
+    }
+    return bySport;
+}
 
-        if (!matchingTargetEvents || matchingTargetEvents.length === 0) continue;
+/**
+ * Pairs reference markets (Azuro) with target markets of the same event, market type and line.
+ * Events are matched by fuzzy name within the same sport; then, among the target markets of
+ * that event, the one with the same market key (e.g. "total:2.5", in the reference home/away
+ * orientation) is selected.
+ * The assignment is one-to-one: candidate pairs are accepted by decreasing score, so a target
+ * market is never claimed by two reference markets (the weaker claim falls back to its next candidate).
+ * Pairs scored within HYDRATION_REVIEW_MARGIN of the threshold are queued for review instead of traded;
+ * approved pairs are then accepted whatever their score, rejected ones are skipped (both for that fixture only).
+ * Input events are not mutated.
+ * @returns {Array<{ eventA, eventB, confidence, isSwapped }>}
+ */
+function hydrateDictionaryByCompositeKey(azuroEvents, targetEvents) {
+    logger.debug("Hydrating On-Chain markets with reference names via Sport-First Fuzzy Matching...");
 
-        const azuroCleanName = cleanStr(azuroEvent.name);
-        if (!azuroCleanName || azuroCleanName.length < 2) continue;
+    // Aliases and review decisions written by the review CLI since the last cycle
+    teamMatchStore.sync();
+    matchReviewStore.sync();
 
-        const targetNamesMap = matchingTargetEvents.map(t => cleanStr(t.name)).filter(n => n.length > 1);
-        if (targetNamesMap.length === 0) continue;
+    // PHASE 1: Group both sides by Sport, then by event name (parent + child markets)
+    const targetBySport = groupBySportAndName(targetEvents);
+    const referenceBySport = groupBySportAndName(azuroEvents);
+    logger.debug(`[Hydration] Phase 1 Complete. Target Sport Buckets: [${Object.keys(targetBySport).join(', ')}]`);
 
-        try {
-            const result = findBestMatch(azuroCleanName, targetNamesMap);
-            const bestMatch = result.bestMatch;
+    // PHASE 2: Every (reference event, target event) of the same sport with a close name and start time
+    const candidates = [];
+    for (const [sport, referenceByName] of Object.entries(referenceBySport)) {
+        const targetByName = targetBySport[sport];
+        if (!targetByName) continue;
 
-            if (bestMatch.rating > 0.45) {
-                const winningTargetEvent = matchingTargetEvents[result.bestMatchIndex];
-                const timeDiffHours = Math.abs(azuroEvent.startTime - winningTargetEvent.startTime) / 3600;
+        for (const [referenceName, referenceMarkets] of Object.entries(referenceByName)) {
+            for (const [targetName, targetMarkets] of Object.entries(targetByName)) {
+                const referenceEvent = referenceMarkets[0];
+                const targetEvent = targetMarkets[0];
 
-                if (timeDiffHours <= 36) {
-                    logger.info(`[Hydration] [${sport}] ✅ Fuzzy Matched "${azuroEvent.name}" ↔ "${winningTargetEvent.name}" (Score: ${bestMatch.rating.toFixed(2)})`);
+                // Operator decisions override the score
+                const decision = matchReviewStore.getDecision(sport, referenceEvent.name, targetEvent.name, referenceEvent.startTime);
+                if (decision === REVIEW_DECISIONS.REJECTED) continue;
 
-                    winningTargetEvent.name = azuroEvent.name;
+                const { rating, isSwapped, teamPairs } = scoreEventNames(sport, referenceEvent.name, targetEvent.name);
+                const threshold = teamPairs ? MIN_TEAM_RATING : MIN_NAME_RATING;
+                const isApproved = decision === REVIEW_DECISIONS.APPROVED || decision === REVIEW_DECISIONS.ALIASED;
+                if (!isApproved && rating < threshold - REVIEW_MARGIN) continue;
 
-                    matchedPairs.push({
-                        eventA: azuroEvent,
-                        eventB: winningTargetEvent,
-                        confidence: bestMatch.rating
+                const timeDiffHours = Math.abs(referenceEvent.startTime - targetEvent.startTime) / 3600;
+                if (timeDiffHours > MAX_START_GAP_HOURS) {
+                    logger.debug(`[Hydration] [${sport}] Name match high (${rating.toFixed(2)}) for "${referenceEvent.name}" but time gap too large (${timeDiffHours.toFixed(1)}h).`);
+                    continue;
+                }
+
+                // Grey zone: not traded until an operator approves, rejects or aliases the pair
+                if (!isApproved && rating < threshold + REVIEW_MARGIN) {
+                    matchReviewStore.submit({
+                        sport,
+                        protocolA: referenceEvent.protocol,
+                        protocolB: targetEvent.protocol,
+                        nameA: referenceEvent.name,
+                        nameB: targetEvent.name,
+                        startTimeA: referenceEvent.startTime,
+                        startTimeB: targetEvent.startTime,
+                        score: rating,
+                        isSwapped,
+                        teamPairs
                     });
-                    hydratedCount++;
-                } else {
-                    logger.debug(`[Hydration] [${sport}] Name match high (${bestMatch.rating.toFixed(2)}) for "${azuroEvent.name}" but time gap too large (${timeDiffHours.toFixed(1)}h).`);
+                    continue;
+                }
+
+                // PHASE 3: Same market type and line (handicap lines flip with the orientation)
+                for (const referenceMarket of referenceMarkets) {
+                    const targetMarket = targetMarkets.find(t => orientMarketKey(t, isSwapped) === referenceMarket.marketKey);
+                    if (targetMarket) {
+                        candidates.push({ sport, eventA: referenceMarket, eventB: targetMarket, confidence: rating, isSwapped });
+                    }
                 }
             }
-        } catch (err) {
-            logger.error(`Fuzzy Match Error on [${sport}] "${azuroCleanName}": ${err.message}`);
         }
     }
 
-    logger.debug(`Successfully hydrated and matched ${hydratedCount} events via Fuzzy Name Search.`);
+    // PHASE 4: One-to-one assignment, best scores first
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const claimedReference = new Set();
+    const claimedTarget = new Set();
+    const matchedPairs = [];
+
+    for (const candidate of candidates) {
+        if (claimedReference.has(candidate.eventA) || claimedTarget.has(candidate.eventB)) continue;
+        claimedReference.add(candidate.eventA);
+        claimedTarget.add(candidate.eventB);
+
+        const { sport, eventA, eventB, confidence, isSwapped } = candidate;
+        logger.info(`[Hydration] [${sport}] ✅ Fuzzy Matched "${eventA.name}" ↔ "${eventB.name}" [${eventA.marketKey}] (Score: ${confidence.toFixed(2)})${isSwapped ? ' ⇄ home/away swapped' : ''}`);
+        matchedPairs.push({ eventA, eventB, confidence, isSwapped });
+    }
+
+    logger.debug(`Successfully hydrated and matched ${matchedPairs.length} markets via Fuzzy Name Search.`);
     return matchedPairs;
 }
 
-module.exports = { hydrateDictionaryByCompositeKey };
+/**
+ * Protocol-independent id of a real-world event: sport, teams (reference orientation) and start day (UTC).
+ * e.g. "football:arsenal-chelsea:2026-10-19"
+ */
+function canonicalEventId(event) {
+    const teams = resolveTeams(event.sport, event.name) || [cleanStr(event.name)];
+    const slug = teams.join(' ').replace(/\s+/g, '-');
+    const day = new Date(Number(event.startTime) * 1000).toISOString().slice(0, 10);
+    return `${(event.sport || 'unknown').toLowerCase()}:${slug}:${day}`;
+}
+
+/**
+ * Clusters the markets of the same real-world event and market across any number of protocols.
+ * Every other protocol is hydrated against the reference protocol (the one with full names);
+ * the pairs sharing the same reference market form one cluster.
+ * @param {Object<string, object[]>} eventsByProtocol - protocol -> normalized events
+ * @param {string} referenceProtocol
+ * @returns {Array<object>} Clusters:
+ *   { id, eventId, reference, name, sport, startTime, marketKey,
+ *     events: { protocol: event }, swapped: { protocol: boolean }, confidence: { protocol: number } }
+ *   `eventId` is the canonical event id, `id` adds the market key (one cluster per event market).
+ */
+function buildEventClusters(eventsByProtocol, referenceProtocol) {
+    const referenceEvents = eventsByProtocol[referenceProtocol] || [];
+    const clusters = new Map(); // reference market -> cluster
+
+    for (const [protocol, events] of Object.entries(eventsByProtocol)) {
+        if (protocol === referenceProtocol) continue;
+
+        for (const pair of hydrateDictionaryByCompositeKey(referenceEvents, events)) {
+            if (!clusters.has(pair.eventA)) {
+                const eventId = canonicalEventId(pair.eventA);
+                clusters.set(pair.eventA, {
+                    id: `${eventId}:${pair.eventA.marketKey}`,
+                    eventId,
+                    reference: referenceProtocol,
+                    name: pair.eventA.name,
+                    sport: pair.eventA.sport,
+                    startTime: pair.eventA.startTime,
+                    marketKey: pair.eventA.marketKey,
+                    events: { [referenceProtocol]: pair.eventA },
+                    swapped: { [referenceProtocol]: false },
+                    confidence: { [referenceProtocol]: 1 }
+                });
+            }
+
+            const cluster = clusters.get(pair.eventA);
+            cluster.events[protocol] = pair.eventB;
+            cluster.swapped[protocol] = pair.isSwapped;
+            cluster.confidence[protocol] = pair.confidence;
+        }
+    }
+
+    return [...clusters.values()];
+}
+
+module.exports = { hydrateDictionaryByCompositeKey, buildEventClusters, canonicalEventId, detectSwappedTeams };
@@ -0,0 +1,161 @@
+/**
+ * Market Taxonomy
+ *
+ * Common vocabulary for the markets offered by every protocol. Each normalized event carries:
+ *   marketType    - winner | total | handicap | btts | player_prop
+ *   line          - numeric line (Total 2.5, Handicap -1.5 on the home side), null when not applicable
+ *   marketKey     - marketType + line (+ prop name), the key used by hydration to pair markets
+ *   outcomeLabels - real-world meaning of each outcome, in the protocol's own outcome order
+ */
+
+const MARKET_TYPES = {
+    WINNER: 'winner',
+    TOTAL: 'total',
+    HANDICAP: 'handicap',
+    BTTS: 'btts',
+    PLAYER_PROP: 'player_prop'
+};
+
+const OUTCOME_LABELS = {
+    HOME: 'home',
+    DRAW: 'draw',
+    AWAY: 'away',
+    OVER: 'over',
+    UNDER: 'under',
+    YES: 'yes',
+    NO: 'no'
+};
+
+// Azuro dictionary outcome ids with a known meaning
+const AZURO_OUTCOME_LABELS = {
+    '29': OUTCOME_LABELS.HOME, // Full Time Result "1"
+    '30': OUTCOME_LABELS.DRAW, // Full Time Result "X"
+    '31': OUTCOME_LABELS.AWAY  // Full Time Result "2"
+};
+
+// Overtime child markets are identified by their betType (0 = parent / winner market)
+const OVERTIME_BET_TYPES = {
+    0: MARKET_TYPES.WINNER,
+    10001: MARKET_TYPES.HANDICAP,
+    10002: MARKET_TYPES.TOTAL
+};
+
+// Overtime positions per market type
+const OVERTIME_POSITION_LABELS = {
+    [MARKET_TYPES.WINNER]: [OUTCOME_LABELS.HOME, OUTCOME_LABELS.AWAY, OUTCOME_LABELS.DRAW],
+    [MARKET_TYPES.HANDICAP]: [OUTCOME_LABELS.HOME, OUTCOME_LABELS.AWAY],
+    [MARKET_TYPES.TOTAL]: [OUTCOME_LABELS.OVER, OUTCOME_LABELS.UNDER]
+};
+
+const SWAPPED_LABELS = {
+    [OUTCOME_LABELS.HOME]: OUTCOME_LABELS.AWAY,
+    [OUTCOME_LABELS.AWAY]: OUTCOME_LABELS.HOME
+};
+
+// Overtime stores spreads and totals in hundredths (-150 = -1.5)
+const OVERTIME_LINE_SCALE = 100;
+
+/**
+ * @param {{ marketType: string, line: number|null, propName?: string }} market
+ * @returns {string} e.g. "winner", "total:2.5", "handicap:-1.5", "player_prop:lebron-james-points:25.5"
+ */
+function buildMarketKey({ marketType, line, propName }) {
+    const parts = [marketType];
+    if (propName) parts.push(propName);
+    if (line !== null && line !== undefined) parts.push(String(Number(line)));
+    return parts.join(':');
+}
+
+/**
+ * Market key of an event seen from the other protocol's home/away orientation.
+ * Only handicap lines depend on the orientation: a home -1.5 is an away +1.5.
+ */
+function orientMarketKey(event, isSwapped) {
+    if (!isSwapped || event.marketType !== MARKET_TYPES.HANDICAP) return event.marketKey;
+    return buildMarketKey({ ...event, line: -event.line });
+}
+
+/**
+ * Classifies an Azuro condition from its outcome ids and titles.
+ * Outcome titles follow the Azuro dictionaries: "1" / "X" / "2", "Over (2.5)", "Team 1 (-1.5)", "Yes" / "No".
+ * @param {object} condition - Subgraph condition, outcomes already sorted in on-chain order
+ * @returns {{ marketType, line, marketKey, outcomeLabels } | null} null for unsupported markets
+ */
+function classifyAzuroCondition(condition) {
+    const outcomes = condition.outcomes || [];
+    const conditionTitle = String(condition.title || '');
+
+    // 1. Known outcome ids (Full Time Result)
+    if (outcomes.length > 0 && outcomes.every(o => AZURO_OUTCOME_LABELS[String(o.outcomeId)])) {
+        return _market(MARKET_TYPES.WINNER, null, outcomes.map(o => AZURO_OUTCOME_LABELS[String(o.outcomeId)]));
+    }
+
+    const titles = outcomes.map(o => String(o.title || '').trim());
+    if (titles.some(t => !t)) return null;
+
+    // 2. Match winner: "1" / "X" / "2"
+    const winnerLabels = { '1': OUTCOME_LABELS.HOME, 'x': OUTCOME_LABELS.DRAW, '2': OUTCOME_LABELS.AWAY };
+    if (titles.every(t => winnerLabels[t.toLowerCase()])) {
+        return _market(MARKET_TYPES.WINNER, null, titles.map(t => winnerLabels[t.toLowerCase()]));
+    }
+
+    // 3. Totals (and player props): "Over (2.5)" / "Under (2.5)"
+    const totals = titles.map(t => t.match(/^(over|under)\s*\(?\s*([+-]?\d+(?:\.\d+)?)\s*\)?$/i));
+    if (totals.every(Boolean) && new Set(totals.map(m => Number(m[2]))).size === 1) {
+        const line = Number(totals[0][2]);
+        const labels = totals.map(m => m[1].toLowerCase());
+        if (/player/i.test(conditionTitle)) {
+            const propName = conditionTitle.toLowerCase().replace(/\(.*?\)/g, '').replace(/(over|under)/g, '').trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            return _market(MARKET_TYPES.PLAYER_PROP, line, labels, propName);
+        }
+        return _market(MARKET_TYPES.TOTAL, line, labels);
+    }
+
+    // 4. Handicaps: "Team 1 (-1.5)" / "Team 2 (+1.5)", line expressed on the home side
+    const handicaps = titles.map(t => t.match(/^(?:team\s*)?([12])\s*\(\s*([+-]?\d+(?:\.\d+)?)\s*\)$/i));
+    if (handicaps.length === 2 && handicaps.every(Boolean)) {
+        const labels = handicaps.map(m => (m[1] === '1' ? OUTCOME_LABELS.HOME : OUTCOME_LABELS.AWAY));
+        const home = handicaps[labels.indexOf(OUTCOME_LABELS.HOME)];
+        if (!home || labels[0] === labels[1]) return null;
+        return _market(MARKET_TYPES.HANDICAP, Number(home[2]), labels);
+    }
+
+    // 5. Both teams to score: "Yes" / "No"
+    if (/both teams to score/i.test(conditionTitle) && titles.every(t => /^(yes|no)$/i.test(t))) {
+        return _market(MARKET_TYPES.BTTS, null, titles.map(t => t.toLowerCase()));
+    }
+
+    return null;
+}
+
+/**
+ * Classifies an Overtime sport market (parent or child) from its subgraph fields.
+ * Player props are not exposed as sport markets on this subgraph, so they are never returned here.
+ * @param {object} market - Subgraph sportMarket ({ betType, spread, total })
+ * @returns {{ marketType, line, marketKey, outcomeLabels } | null} null for unsupported child markets
+ */
+function classifyOvertimeMarket(market) {
+    const marketType = OVERTIME_BET_TYPES[parseInt(market.betType || 0)];
+    if (!marketType) return null;
+
+    let line = null;
+    if (marketType === MARKET_TYPES.HANDICAP) line = parseInt(market.spread) / OVERTIME_LINE_SCALE;
+    if (marketType === MARKET_TYPES.TOTAL) line = parseInt(market.total) / OVERTIME_LINE_SCALE;
+    if (Number.isNaN(line)) return null;
+
+    return _market(marketType, line, OVERTIME_POSITION_LABELS[marketType]);
+}
+
+function _market(marketType, line, outcomeLabels, propName) {
+    return { marketType, line, marketKey: buildMarketKey({ marketType, line, propName }), outcomeLabels };
+}
+
+module.exports = {
+    MARKET_TYPES,
+    OUTCOME_LABELS,
+    SWAPPED_LABELS,
+    buildMarketKey,
+    orientMarketKey,
+    classifyAzuroCondition,
+    classifyOvertimeMarket
+};
@@ -0,0 +1,134 @@
+/**
+ * Outcome Mapping Layer
+ *
+ * Each protocol orders its outcomes differently: Azuro follows its condition's outcome ids
+ * (e.g. 29 = "1", 30 = "X", 31 = "2"), Overtime uses fixed positions (0 Home, 1 Away, 2 Draw;
+ * 0 Over, 1 Under on totals), and the fuzzy-matched event may even list the teams in the
+ * opposite orientation.
+ * This module labels every outcome with its real-world meaning and reorders the odds so that
+ * index `i` means the same outcome on both sides before any arbitrage math is done.
+ */
+
+const { OUTCOME_LABELS, SWAPPED_LABELS } = require('./marketTaxonomy');
+
+/**
+ * Labels the outcomes of a protocol event, in the order of its odds array.
+ * Labels come from the market taxonomy (see utils/marketTaxonomy), set by each fetcher.
+ * Protocols exposing outcome ids (Azuro) keep them as native ids; the others use positions.
+ * @param {object} event - Normalized event ({ protocol, outcomeLabels, outcomeIds? })
+ * @param {number} count - Number of outcomes to label (live odds length)
+ * @returns {{ labels: string[], nativeIds: Array<string|number> } | null} null when the outcomes cannot be labelled
+ */
+function labelOutcomes(event, count) {
+    const outcomeLabels = event.outcomeLabels || [];
+
+    if (event.outcomeIds) {
+        // Only outcomes with a known meaning are labelled: guessing from the position
+        // is exactly what produces fake surebets
+        if (outcomeLabels.length !== count || event.outcomeIds.length !== count) return null;
+        return { labels: outcomeLabels, nativeIds: event.outcomeIds };
+    }
+
+    // Positions are fixed per market type; a missing Draw quote simply shortens the list
+    if (count < 2 || count > outcomeLabels.length) return null;
+    return { labels: outcomeLabels.slice(0, count), nativeIds: [...Array(count).keys()] };
+}
+
+/**
+ * Aligns the odds of every protocol of an event cluster on the same real-world outcomes.
+ * The reference protocol's orientation is kept; members whose teams hydration found swapped
+ * get their home/away labels flipped. A member whose outcomes do not line up is dropped
+ * (with its reason); the cluster is rejected when fewer than two protocols remain.
+ *
+ * @param {object} group - Event cluster from buildEventClusters ({ reference, events: { protocol: event }, swapped: { protocol: bool } })
+ * @param {Object<string, number[]>} oddsByProtocol - Odds per protocol, in each protocol's own outcome order
+ * @returns {object} { ok: false, reason, dropped } or
+ *   { ok: true, labels, protocols, odds, indices, nativeIds, dropped } where odds/indices/nativeIds are
+ *   keyed by protocol and every array is in canonical order.
+ */
+function alignOutcomes(group, oddsByProtocol) {
+    const { reference } = group;
+    const dropped = [];
+    const referenceEvent = group.events[reference];
+    const referenceOdds = oddsByProtocol[reference] || [];
+
+    const base = labelOutcomes(referenceEvent, referenceOdds.length);
+    if (!base) {
+        return { ok: false, dropped, reason: `Unlabelled ${reference} outcomes on ${referenceEvent.marketKey || 'unknown market'} [${(referenceEvent.outcomeIds || []).join(', ')}]` };
+    }
+
+    const aligned = {
+        ok: true,
+        labels: base.labels,
+        protocols: [reference],
+        odds: { [reference]: referenceOdds },
+        indices: { [reference]: base.labels.map((label, i) => i) },
+        nativeIds: { [reference]: base.nativeIds },
+        dropped
+    };
+
+    for (const [protocol, event] of Object.entries(group.events)) {
+        if (protocol === reference || !oddsByProtocol[protocol]) continue;
+
+        const odds = oddsByProtocol[protocol];
+        const member = labelOutcomes(event, odds.length);
+        if (!member) {
+            dropped.push({ protocol, reason: `Unlabelled ${protocol} outcomes (${odds.length})` });
+            continue;
+        }
+
+        const labels = group.swapped && group.swapped[protocol]
+            ? member.labels.map(label => SWAPPED_LABELS[label] || label)
+            : member.labels;
+
+        if (labels.length !== base.labels.length) {
+            dropped.push({ protocol, reason: `Outcome sets differ (${reference} [${base.labels.join(', ')}] vs ${protocol} [${labels.join(', ')}])` });
+            continue;
+        }
+
+        const indices = base.labels.map(label => labels.indexOf(label));
+        const missing = base.labels.find((label, i) => indices[i] === -1);
+        if (missing) {
+            dropped.push({ protocol, reason: `Outcome "${missing}" missing on ${protocol}` });
+            continue;
+        }
+
+        aligned.protocols.push(protocol);
+        aligned.odds[protocol] = indices.map(j => odds[j]);
+        aligned.indices[protocol] = indices;
+        aligned.nativeIds[protocol] = indices.map(j => member.nativeIds[j]);
+    }
+
+    if (aligned.protocols.length < 2) {
+        return { ok: false, dropped, reason: dropped.map(d => d.reason).join('; ') || 'No other protocol to compare with' };
+    }
+
+    return aligned;
+}
+
+/**
+ * Rewrites the legs of an arbitrage result (computed on canonical indices) with the
+ * outcome identifier each protocol expects on-chain (Azuro outcome id / Overtime or Dexsport position).
+ * @param {object} arbitrageResult
+ * @param {object} alignment - Output of alignOutcomes
+ */
+function applyNativeOutcomes(arbitrageResult, alignment) {
+    for (const leg of arbitrageResult.legs || []) {
+        const canonicalIndex = leg.outcomeIndex;
+        leg.canonicalIndex = canonicalIndex;
+        leg.label = alignment.labels[canonicalIndex];
+        leg.outcomeIndex = alignment.nativeIds[leg.bookie][canonicalIndex];
+    }
+    arbitrageResult.outcomeMap = {
+        labels: alignment.labels,
+        indices: alignment.indices,
+        nativeIds: alignment.nativeIds
+    };
+}
+
+module.exports = {
+    OUTCOME_LABELS,
+    labelOutcomes,
+    alignOutcomes,
+    applyNativeOutcomes
+};
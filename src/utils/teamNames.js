@@ -0,0 +1,95 @@
+/**
+ * Team Names
+ *
+ * Turns the event names of every protocol into comparable team names:
+ *   - token normalization: diacritics, punctuation, "&" / "and", club suffixes and prefixes (FC, SC, AFC...)
+ *   - "Home vs Away" / "Home - Away" / "Home @ Away" split into two teams
+ *   - curated aliases per sport (src/config/teamAliases/<sport>.json: canonical name -> aliases)
+ *   - team names confirmed on previous cycles (TeamMatchStore)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const teamMatchStore = require('../storage/TeamMatchStore');
+
+const ALIASES_DIR = path.join(__dirname, '..', 'config', 'teamAliases');
+
+// Club designations that one protocol prints and another omits ("Arsenal FC" vs "Arsenal")
+const CLUB_TOKENS = new Set(['fc', 'sc', 'cf', 'afc', 'ac', 'ssc', 'fk', 'sk', 'bk', 'cd', 'ud', 'sv', 'club']);
+
+const aliasCache = new Map(); // sport -> Map(normalized alias -> normalized canonical name)
+
+/**
+ * Normalizes a single team name: "Bayern München FC" -> "bayern munchen", "Brighton & Hove" -> "brighton and hove".
+ * Club tokens are only dropped when something else remains ("FC" alone stays "fc").
+ */
+function normalizeTeamName(name) {
+    const tokens = String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    const significant = tokens.filter(t => !CLUB_TOKENS.has(t));
+    return (significant.length > 0 ? significant : tokens).join(' ');
+}
+
+/**
+ * Splits an event name ("Home vs Away", "Home - Away", "Home @ Away") into its two raw team names, in written order.
+ * Returns null when the name does not contain exactly two participants.
+ */
+function splitTeams(name) {
+    const teams = String(name || '').split(/\s+(?:vs\.?|v\.?|-|–|—|@)\s+/i).map(t => t.trim());
+    return teams.length === 2 && teams.every(t => normalizeTeamName(t).length > 1) ? teams : null;
+}
+
+/**
+ * Curated aliases of a sport, loaded once from src/config/teamAliases/<sport>.json (empty when absent).
+ * @param {string} sport - Lowercase sport name
+ * @returns {Map<string, string>} normalized alias -> normalized canonical name
+ */
+function getAliases(sport) {
+    if (aliasCache.has(sport)) return aliasCache.get(sport);
+
+    const aliases = new Map();
+    const file = path.join(ALIASES_DIR, `${sport.replace(/[^a-z0-9_-]/g, '')}.json`);
+    if (fs.existsSync(file)) {
+        const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [canonical, names] of Object.entries(entries)) {
+            const canonicalName = normalizeTeamName(canonical);
+            aliases.set(canonicalName, canonicalName);
+            for (const alias of names) aliases.set(normalizeTeamName(alias), canonicalName);
+        }
+    }
+
+    aliasCache.set(sport, aliases);
+    return aliases;
+}
+
+/**
+ * Canonical name of a team: normalized, then curated alias, then previously confirmed match.
+ * @param {string} sport - Sport name (any case)
+ * @param {string} name - Raw team name
+ * @returns {string}
+ */
+function resolveTeam(sport, name) {
+    const sportKey = String(sport || 'unknown').toLowerCase();
+    const normalized = normalizeTeamName(name);
+    const curated = getAliases(sportKey).get(normalized) || normalized;
+    return teamMatchStore.getTeam(sportKey, curated) || curated;
+}
+
+/**
+ * Both teams of an event name, resolved to their canonical names.
+ * @returns {string[]|null} [home, away] as written, or null when the name cannot be split
+ */
+function resolveTeams(sport, eventName) {
+    const teams = splitTeams(eventName);
+    return teams ? teams.map(team => resolveTeam(sport, team)) : null;
+}
+
+module.exports = { normalizeTeamName, splitTeams, resolveTeam, resolveTeams, getAliases };
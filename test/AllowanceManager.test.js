@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROTOCOLS = 'azuro,overtime';
+process.env.ALLOWANCE_POLICY = 'EXACT';
+
+const allowanceManager = require('../src/engine/AllowanceManager');
+const { ALLOWANCE_POLICIES, resolvePolicy } = require('../src/engine/AllowanceManager');
+
+test('accepts the former exact policy as an alias of balance', async () => {
+    assert.strictEqual(allowanceManager.policy, ALLOWANCE_POLICIES.BALANCE);
+    assert.strictEqual(resolvePolicy('Capped'), ALLOWANCE_POLICIES.CAPPED);
+
+    assert.deepStrictEqual(await allowanceManager.ensureAll({ chains: [], policy: 'exact' }), []);
+    await assert.rejects(allowanceManager.ensureAll({ chains: [], policy: 'max' }), /Unknown ALLOWANCE_POLICY "max"/);
+});
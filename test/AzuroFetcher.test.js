@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AzuroFetcher = require('../src/fetchers/AzuroFetcher');
+const fixture = require('./fixtures/azuro_condition.json');
+
+/**
+ * Replays the recorded Azuro Core call results instead of hitting the RPC.
+ */
+function createFetcher(overrides = {}) {
+    const calls = { calcOdds: [] };
+    const fetcher = new AzuroFetcher('http://subgraph.invalid', null);
+
+    fetcher._getCoreContract = () => ({
+        getCondition: overrides.getCondition || (async () => {
+            const c = fixture.getCondition;
+            return [BigInt(c.payout), c.virtualFunds.map(BigInt), BigInt(c.margin), BigInt(c.state)];
+        }),
+        calcOdds: async (conditionId, amount, outcomeId) => {
+            calls.calcOdds.push({ conditionId, amount, outcomeId });
+            if (overrides.calcOdds) return overrides.calcOdds(conditionId, amount, outcomeId);
+            return BigInt(fixture.calcOdds[outcomeId]);
+        },
+        getOutcomeIndex: overrides.getOutcomeIndex || (async (conditionId, outcomeId) => BigInt(fixture.outcomeIds.indexOf(outcomeId)))
+    });
+
+    return { fetcher, calls };
+}
+
+test('reads calcOdds at the intended stake, in subgraph outcome order', async () => {
+    const { fetcher, calls } = createFetcher();
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, fixture.outcomeIds);
+
+    assert.strictEqual(result.isFrozen, false);
+    assert.deepStrictEqual(result.odds, [3.1025, 4.651, 1.8712]);
+
+    // Composite subgraph id is split, stake is encoded with USDT's 6 decimals
+    assert.strictEqual(calls.calcOdds[0].conditionId, '100110010000000015742436250000000000000001');
+    assert.strictEqual(calls.calcOdds[0].amount, 100000000n);
+});
+
+test('maps odds to the order of the given outcome ids', async () => {
+    const { fetcher } = createFetcher();
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, ['31', '29', '30']);
+
+    assert.deepStrictEqual(result.odds, [1.8712, 3.1025, 4.651]);
+});
+
+test('quotes an outcome 0 when calcOdds reverts at the intended stake', async () => {
+    const { fetcher } = createFetcher({
+        calcOdds: async (conditionId, amount, outcomeId) => {
+            if (outcomeId === '30') throw new Error('execution reverted');
+            return BigInt(fixture.calcOdds[outcomeId]);
+        }
+    });
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, fixture.outcomeIds);
+
+    assert.strictEqual(result.isFrozen, false);
+    assert.deepStrictEqual(result.odds, [3.1025, 0, 1.8712]);
+});
+
+test('keeps the reverting outcome at its own position with permuted outcome ids', async () => {
+    const { fetcher } = createFetcher({
+        calcOdds: async (conditionId, amount, outcomeId) => {
+            if (outcomeId === '29') throw new Error('execution reverted');
+            return BigInt(fixture.calcOdds[outcomeId]);
+        }
+    });
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, ['31', '29', '30']);
+
+    // No other outcome's odd leaks into outcome 29
+    assert.deepStrictEqual(result.odds, [1.8712, 0, 4.651]);
+});
+
+test('skips a condition without outcome ids instead of approximating its odds', async () => {
+    const { fetcher, calls } = createFetcher();
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd);
+
+    assert.deepStrictEqual(result.odds, []);
+    assert.strictEqual(calls.calcOdds.length, 0);
+});
+
+test('flags the market as frozen when the condition is not in the Created state', async () => {
+    const { fetcher } = createFetcher({
+        getCondition: async () => {
+            const c = fixture.getCondition;
+            return [0n, c.virtualFunds.map(BigInt), BigInt(c.margin), 3n]; // Paused
+        }
+    });
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, fixture.outcomeIds);
+
+    assert.strictEqual(result.isFrozen, true);
+});
+
+test('fails safe when the condition cannot be read', async () => {
+    const { fetcher } = createFetcher({
+        getCondition: async () => { throw new Error('missing revert data'); }
+    });
+
+    const result = await fetcher.getLatestOddsFromContract('0xcore', fixture.conditionId, fixture.targetStakeUsd, fixture.outcomeIds);
+
+    assert.deepStrictEqual(result, { isFrozen: true, odds: [] });
+});
+
+test('decodes OddsChanged logs of the subscribed condition and unsubscribes', async () => {
+    const { ethers } = require('ethers');
+    const fetcher = new AzuroFetcher('http://subgraph.invalid', null);
+    const listeners = new Map();
+    fetcher.wsProvider = {
+        // ethers v6 subscribes asynchronously
+        on: async (filter, listener) => { listeners.set(listener, filter); },
+        off: async (filter, listener) => { listeners.delete(listener); }
+    };
+
+    const updates = [];
+    const unsubscribe = fetcher.subscribeToConditionUpdates('0xcore', fixture.conditionId, update => updates.push(update));
+
+    const [[listener, filter]] = [...listeners];
+    const coreEvents = new ethers.Interface(["event OddsChanged(uint256 indexed conditionId, uint256[] newOdds)"]);
+    const log = coreEvents.encodeEventLog('OddsChanged', [BigInt('100110010000000015742436250000000000000001'), [3102500000000n, 4651000000000n, 1871200000000n]]);
+    assert.deepStrictEqual(filter.topics, log.topics);
+
+    listener({ ...log, blockNumber: 123 });
+    assert.deepStrictEqual(updates, [{ conditionId: '100110010000000015742436250000000000000001', odds: [3.1025, 4.651, 1.8712], blockNumber: 123 }]);
+
+    unsubscribe();
+    assert.strictEqual(listeners.size, 0);
+});
+
+test('delivers OddsChanged odds in the event outcome order, not the on-chain order', async () => {
+    const { ethers } = require('ethers');
+    const { fetcher } = createFetcher();
+    const listeners = [];
+    fetcher.wsProvider = { on: async (filter, listener) => { listeners.push(listener); }, off: async () => {} };
+
+    const updates = [];
+    fetcher.subscribeToOddsUpdates({ id: fixture.conditionId, outcomeIds: ['31', '29', '30'] }, odds => updates.push(odds));
+
+    const coreEvents = new ethers.Interface(["event OddsChanged(uint256 indexed conditionId, uint256[] newOdds)"]);
+    const log = coreEvents.encodeEventLog('OddsChanged', [BigInt('100110010000000015742436250000000000000001'), [3102500000000n, 4651000000000n, 1871200000000n]]);
+    listeners[0]({ ...log, blockNumber: 123 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(updates, [[1.8712, 3.1025, 4.651]]);
+});
+
+test('drops odds updates while the on-chain outcome positions cannot be read', async () => {
+    const { ethers } = require('ethers');
+    const { fetcher } = createFetcher({ getOutcomeIndex: async () => { throw new Error('missing revert data'); } });
+    const listeners = [];
+    fetcher.wsProvider = { on: async (filter, listener) => { listeners.push(listener); }, off: async () => {} };
+
+    const updates = [];
+    fetcher.subscribeToOddsUpdates({ id: fixture.conditionId, outcomeIds: fixture.outcomeIds }, odds => updates.push(odds));
+
+    const coreEvents = new ethers.Interface(["event OddsChanged(uint256 indexed conditionId, uint256[] newOdds)"]);
+    const log = coreEvents.encodeEventLog('OddsChanged', [BigInt('100110010000000015742436250000000000000001'), [3102500000000n, 4651000000000n, 1871200000000n]]);
+    listeners[0]({ ...log, blockNumber: 123 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(updates, []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankroll-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+process.env.PROTOCOLS = 'azuro,overtime';
+process.env.BANKROLL_FRACTION = '1';
+
+const bankrollManager = require('../src/engine/BankrollManager');
+const { estimateStakeShares } = require('../src/engine/ArbitrageEngine');
+
+// Azuro (Polygon) has the best home odd, Overtime (Arbitrum) the best draw and away odds
+const ODDS = { azuro: [2.5, 3.0, 4.0], overtime: [2.2, 4.0, 4.0] };
+
+test.beforeEach(() => {
+    bankrollManager.balances = { polygon: 100, arbitrum: 1000 };
+    bankrollManager.lastUpdate = Date.now();
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('splits the stake on the best effective odd of every outcome', () => {
+    const shares = estimateStakeShares(ODDS);
+
+    assert.deepStrictEqual(shares.map(s => s.bookie), ['azuro', 'overtime', 'azuro']);
+    assert.deepStrictEqual(shares.map(s => s.share.toFixed(4)), ['0.4444', '0.2778', '0.2778']);
+    assert.strictEqual(estimateStakeShares({ azuro: [2, 3], overtime: [2] }), null);
+});
+
+test('sizes the stake on the chain that runs out first, not on the pooled balances', async () => {
+    const stake = await bankrollManager.getStake({ matchId: 'm1', sport: 'Football', stakeShares: estimateStakeShares(ODDS) });
+
+    // Polygon funds 72.22% of the stake with $100: pooling both chains would have allowed $1100
+    assert.strictEqual(stake.toFixed(2), '138.46');
+});
+
+test('funds nothing on a chain whose balance could not be read', async () => {
+    bankrollManager.balances = { arbitrum: 1000 };
+
+    assert.strictEqual(await bankrollManager.getStake({ matchId: 'm1', sport: 'Football', stakeShares: estimateStakeShares(ODDS) }), 0);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+process.env.PROTOCOLS = 'azuro,overtime';
+
+const betLedger = require('../src/storage/BetLedger');
+const { LEG_STATES } = require('../src/storage/BetLedger');
+
+const ARBITRAGE = {
+    matchId: 'm1',
+    betKey: 'a1_o1',
+    eventName: 'Liverpool vs Everton',
+    profitPercentage: 1.5,
+    minNetProfit: 3,
+    gasCosts: 0.4,
+    legs: [
+        { bookie: 'azuro', outcomeIndex: '29', label: 'home', stake: 120, rawOdd: 2.1, effOdd: 1.995 },
+        { bookie: 'overtime', outcomeIndex: 1, label: 'away', stake: 80, rawOdd: 3.1, effOdd: 3.007 }
+    ]
+};
+
+/**
+ * A second ledger on the same journal: its state only comes from the replay.
+ */
+function replay() {
+    const ledger = new betLedger.constructor();
+    ledger.load();
+    return ledger;
+}
+
+function strip(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+test.beforeEach(() => {
+    fs.rmSync(betLedger.journalPath, { force: true });
+    betLedger.arbitrages.clear();
+    betLedger.legs.clear();
+    betLedger.isLoaded = false;
+    betLedger.journal.offset = 0;
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('records every leg as pending, on the chain of its protocol', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+
+    assert.deepStrictEqual(arb.legs.map(l => [l.legId, l.bookie, l.chain, l.outcomeIndex, l.stake, l.odds, l.state]), [
+        [`${arb.arbId}:0`, 'azuro', 'polygon', '29', 120, 2.1, LEG_STATES.PENDING],
+        [`${arb.arbId}:1`, 'overtime', 'arbitrum', 1, 80, 3.1, LEG_STATES.PENDING]
+    ]);
+    assert.deepStrictEqual(betLedger.getPlacedBetKeys(), new Set(['a1_o1']));
+    assert.strictEqual(betLedger.getOpenLegs().length, 2);
+});
+
+test('frees the dedup key of an arbitrage whose legs all failed', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    const [home, away] = arb.legs;
+
+    betLedger.updateLeg(home.legId, { state: LEG_STATES.FAILED, error: 'reverted' });
+    assert.deepStrictEqual(replay().getPlacedBetKeys(), new Set(['a1_o1']));
+
+    betLedger.updateLeg(away.legId, { state: LEG_STATES.FAILED, error: 'reverted' });
+    assert.deepStrictEqual(replay().getPlacedBetKeys(), new Set());
+});
+
+test('rebuilds legs, hedges, recoveries and replacements identically from the journal', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    const [home, away] = arb.legs;
+
+    betLedger.updateLeg(home.legId, { state: LEG_STATES.PLACED, txHash: '0xhome' });
+    betLedger.recordReplacement(away.legId, { kind: 'speed-up', nonce: 4, replacedHash: '0xa', hash: '0xb' });
+    betLedger.updateLeg(away.legId, { state: LEG_STATES.FAILED, error: 'reverted' });
+    const hedge = betLedger.appendLeg(arb.arbId, { bookie: 'azuro', outcomeIndex: '31', label: 'away', stake: 85, rawOdd: 3.0 }, { hedge: true });
+    betLedger.recordRecovery(arb.arbId, { action: 'hedged', reason: null });
+    betLedger.updateLeg(home.legId, { state: LEG_STATES.CLAIMED, pnl: 132 });
+
+    assert.strictEqual(hedge.legId, `${arb.arbId}:2`);
+
+    const replayed = replay();
+    assert.deepStrictEqual(strip(replayed.arbitrages.get(arb.arbId)), strip(betLedger.arbitrages.get(arb.arbId)));
+    assert.strictEqual(replayed.legs.get(home.legId).state, LEG_STATES.CLAIMED);
+    assert.deepStrictEqual(replayed.legs.get(away.legId).replacements.map(r => r.hash), ['0xb']);
+    assert.strictEqual(replayed.legs.get(hedge.legId).hedge, true);
+    // A leg reached through the arbitrage is the same record as the one reached by id
+    assert.strictEqual(replayed.arbitrages.get(arb.arbId).legs[2], replayed.legs.get(hedge.legId));
+});
+
+test('lists placed legs as claimable until their payout is recorded', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    const [home, away] = arb.legs;
+
+    betLedger.updateLeg(home.legId, { state: LEG_STATES.PLACED });
+    betLedger.updateLeg(away.legId, { state: LEG_STATES.PLACED });
+    betLedger.updateLeg(away.legId, { state: LEG_STATES.LOST, pnl: -80 });
+
+    assert.deepStrictEqual(replay().getClaimableLegs().map(l => l.legId), [home.legId]);
+    assert.strictEqual(betLedger.updateLeg('unknown:0', { state: LEG_STATES.PLACED }), null);
+});
+
+test('reports an arbitrage as naked only while its last recovery left it unhedged', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+
+    betLedger.recordRecovery(arb.arbId, { action: 'naked', reason: 'No live quote' });
+    assert.deepStrictEqual(replay().getNakedExposures().map(a => a.arbId), [arb.arbId]);
+
+    betLedger.recordRecovery(arb.arbId, { action: 'hedged', reason: null });
+    assert.deepStrictEqual(replay().getNakedExposures(), []);
+});
+
+test('sums the settled paper legs', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE, { paper: true });
+    const [home, away] = arb.legs;
+
+    betLedger.updateLeg(home.legId, { state: LEG_STATES.SETTLED, pnl: 132 });
+    betLedger.updateLeg(away.legId, { state: LEG_STATES.PLACED });
+
+    assert.deepStrictEqual(replay().getPaperSummary(), { open: 1, settled: 1, staked: 120, pnl: 132 });
+});
+
+test('skips a torn last line instead of failing to start, and keeps the entry written after it', () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    fs.appendFileSync(betLedger.journalPath, '{"type":"leg","legId":"');
+
+    const replayed = replay();
+    assert.strictEqual(replayed.arbitrages.size, 1);
+    assert.strictEqual(replayed.legs.get(arb.legs[0].legId).state, LEG_STATES.PENDING);
+
+    replayed.updateLeg(arb.legs[0].legId, { state: LEG_STATES.PLACED });
+    assert.strictEqual(replay().legs.get(arb.legs[0].legId).state, LEG_STATES.PLACED);
+});
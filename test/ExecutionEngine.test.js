@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+process.env.PROTOCOLS = 'azuro,overtime';
+
+const betLedger = require('../src/storage/BetLedger');
+const { LEG_STATES } = require('../src/storage/BetLedger');
+const executionEngine = require('../src/engine/ExecutionEngine');
+
+const NEW_BET = new ethers.Interface([
+    "event NewBet(address indexed bettor, address indexed affiliate, uint256 indexed conditionId, uint256 tokenId, uint64 outcomeId, uint128 amount, uint64 odds, uint128[2] funds)"
+]);
+
+const ARBITRAGE = {
+    matchId: 'm1',
+    betKey: 'a1_o1',
+    legs: [
+        { bookie: 'azuro', outcomeIndex: '29', label: 'home', stake: 120, rawOdd: 2.1 },
+        { bookie: 'overtime', outcomeIndex: 1, label: 'away', stake: 80, rawOdd: 3.1 }
+    ]
+};
+
+/**
+ * Provider answering receipts from a hash -> receipt map.
+ */
+function provider(receipts) {
+    return { getTransactionReceipt: async (hash) => receipts[hash] || null };
+}
+
+function receipt(hash, status, logs = []) {
+    return { hash, status, blockNumber: 100, gasUsed: 210000n, gasPrice: 10n, logs };
+}
+
+test.beforeEach(() => {
+    fs.rmSync(betLedger.journalPath, { force: true });
+    betLedger.arbitrages.clear();
+    betLedger.legs.clear();
+    betLedger.isLoaded = false;
+    betLedger.journal.offset = 0;
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('registers a mined pending bet for claiming with the bet id of its receipt', async () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    const [home] = arb.legs;
+    betLedger.updateLeg(home.legId, { txHash: '0xbet', nonce: 4 });
+
+    const log = NEW_BET.encodeEventLog('NewBet', [ethers.ZeroAddress, ethers.ZeroAddress, 7n, 555n, 29n, 120000000n, 2080000000000n, [0n, 0n]]);
+    const unresolved = await executionEngine.reconcilePendingLegs({
+        polygon: provider({ '0xbet': receipt('0xbet', 1, [log]) }),
+        arbitrum: provider({})
+    });
+
+    const leg = betLedger.legs.get(home.legId);
+    assert.strictEqual(leg.state, LEG_STATES.PLACED);
+    assert.strictEqual(leg.betId, '555');
+    assert.strictEqual(leg.fillOdds, 2.08);
+    assert.deepStrictEqual(betLedger.getClaimableLegs().map(l => l.legId), [home.legId]);
+    // Nothing was ever recorded for the Overtime leg: left for the operator
+    assert.deepStrictEqual(unresolved.map(l => l.legId), [arb.legs[1].legId]);
+});
+
+test('closes a reverted bet and a cancelled stuck bet as failed', async () => {
+    const arb = betLedger.recordArbitrage(ARBITRAGE);
+    const [home, away] = arb.legs;
+    betLedger.updateLeg(home.legId, { txHash: '0xreverted', nonce: 4 });
+    betLedger.updateLeg(away.legId, { txHash: '0xstuck', nonce: 9 });
+    betLedger.recordReplacement(away.legId, { kind: 'cancel', tx: 'bet', nonce: 9, replacedHash: '0xstuck', hash: '0xcancel' });
+
+    const unresolved = await executionEngine.reconcilePendingLegs({
+        polygon: provider({ '0xreverted': receipt('0xreverted', 0) }),
+        arbitrum: provider({ '0xcancel': receipt('0xcancel', 1) })
+    });
+
+    assert.deepStrictEqual(unresolved, []);
+    assert.strictEqual(betLedger.legs.get(home.legId).state, LEG_STATES.FAILED);
+    assert.match(betLedger.legs.get(away.legId).error, /cancelled/);
+    assert.deepStrictEqual(betLedger.getOpenLegs(), []);
+});
+
+test('keeps a bet without a receipt pending, and fails interrupted paper legs', async () => {
+    const live = betLedger.recordArbitrage({ ...ARBITRAGE, legs: [ARBITRAGE.legs[0]] });
+    betLedger.updateLeg(live.legs[0].legId, { txHash: '0xmempool', nonce: 4 });
+    const paper = betLedger.recordArbitrage({ ...ARBITRAGE, matchId: 'm2' }, { paper: true });
+
+    const unresolved = await executionEngine.reconcilePendingLegs({ polygon: provider({}), arbitrum: provider({}) });
+
+    assert.deepStrictEqual(unresolved.map(l => l.legId), [live.legs[0].legId]);
+    assert.strictEqual(betLedger.legs.get(live.legs[0].legId).state, LEG_STATES.PENDING);
+    assert.ok(paper.legs.every(leg => leg.state === LEG_STATES.FAILED));
+});
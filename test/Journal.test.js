@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+
+const Journal = require('../src/storage/Journal');
+
+/**
+ * Journal handle with the entries it has applied so far.
+ */
+function open(fileName) {
+    const journal = new Journal(fileName);
+    const applied = [];
+    return { journal, applied, apply: entry => applied.push(entry.n) };
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('picks up the lines another process appended since the last replay', () => {
+    const bot = open('shared.jsonl');
+    const cli = open('shared.jsonl');
+
+    bot.journal.append({ n: 1 }, bot.apply);
+    cli.journal.replay(cli.apply);
+    cli.journal.append({ n: 2 }, cli.apply);
+    bot.journal.append({ n: 3 }, bot.apply);
+
+    assert.deepStrictEqual(bot.applied, [1, 2, 3]);
+    assert.deepStrictEqual(cli.applied, [1, 2]);
+    assert.strictEqual(cli.journal.replay(cli.apply), 0);
+    assert.deepStrictEqual(cli.applied, [1, 2, 3]);
+});
+
+test('leaves an incomplete line for later and terminates it when it turns out torn', () => {
+    const { journal, applied, apply } = open('torn.jsonl');
+    journal.append({ n: 1 }, apply);
+    fs.appendFileSync(journal.path, '{"n":');
+
+    assert.strictEqual(journal.replay(apply), 0);
+    journal.append({ n: 2 }, apply);
+
+    const restarted = open('torn.jsonl');
+    assert.strictEqual(restarted.journal.replay(restarted.apply), 1);
+    assert.deepStrictEqual(restarted.applied, [1, 2]);
+    assert.deepStrictEqual(applied, [1, 2]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reviews-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+
+const matchReviewStore = require('../src/storage/MatchReviewStore');
+const { REVIEW_DECISIONS } = require('../src/storage/MatchReviewStore');
+
+const START = 1800000000;
+const NEXT_SEASON = START + 365 * 86400;
+
+const PAIR = {
+    sport: 'football',
+    protocolA: 'azuro',
+    protocolB: 'overtime',
+    nameA: 'Liverpool vs Everton',
+    nameB: 'Liverpol - Everton',
+    startTimeA: START,
+    startTimeB: START,
+    score: 0.8,
+    isSwapped: false,
+    teamPairs: null
+};
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('applies a decision to its fixture only: the same names on another day are reviewed again', () => {
+    const review = matchReviewStore.submit(PAIR);
+    matchReviewStore.decide(review.reviewId, REVIEW_DECISIONS.REJECTED);
+
+    assert.strictEqual(matchReviewStore.submit(PAIR), null);
+    assert.strictEqual(matchReviewStore.getDecision(PAIR.sport, PAIR.nameA, PAIR.nameB, START), REVIEW_DECISIONS.REJECTED);
+    assert.strictEqual(matchReviewStore.getDecision(PAIR.sport, PAIR.nameA, PAIR.nameB, NEXT_SEASON), null);
+
+    const returnLeg = matchReviewStore.submit({ ...PAIR, startTimeA: NEXT_SEASON, startTimeB: NEXT_SEASON });
+    assert.notStrictEqual(returnLeg.reviewId, review.reviewId);
+    assert.deepStrictEqual(matchReviewStore.getPending().map(r => r.reviewId), [returnLeg.reviewId]);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const nonceManager = require('../src/engine/NonceManager');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const REQUEST = {
+    type: 2,
+    chainId: 42161n,
+    nonce: 7,
+    to: '0x2222222222222222222222222222222222222222',
+    data: '0x1234',
+    maxFeePerGas: 1000n,
+    maxPriorityFeePerGas: 100n
+};
+
+/**
+ * Wallet whose provider answers from in-memory state: `mined` maps a tx hash to its receipt status,
+ * `latestNonce` is the account's mined nonce count.
+ */
+function createWallet({ latestNonce = 7, mineOnSend = null } = {}) {
+    const state = { sent: [], mined: new Map(), latestNonce };
+    const wallet = {
+        address: ADDRESS,
+        provider: {
+            getTransactionReceipt: async (hash) => (state.mined.has(hash) ? { hash, status: state.mined.get(hash) } : null),
+            getTransactionCount: async () => state.latestNonce,
+            getFeeData: async () => ({ maxFeePerGas: 500n, maxPriorityFeePerGas: 50n, gasPrice: null })
+        },
+        sendTransaction: async (request) => {
+            state.sent.push(request);
+            const hash = `0xreplacement${state.sent.length}`;
+            if (mineOnSend) mineOnSend(state, hash, request);
+            return { hash, nonce: request.nonce, gasLimit: 60000n };
+        }
+    };
+    return { wallet, state };
+}
+
+function trackOriginal(wallet, options = {}) {
+    return nonceManager.track('arbitrum', wallet, REQUEST, { hash: '0xoriginal', nonce: REQUEST.nonce, gasLimit: 60000n }, { label: 'bet', ...options });
+}
+
+test.beforeEach(() => {
+    Object.assign(nonceManager.settings, { pollMs: 1, stuckMs: 5, maxSpeedUps: 3, feeBumpPct: 15n, waitTimeoutMs: 2000 });
+});
+
+test('speeds a stuck transaction up with the same nonce and bumped fees, and returns the mined version', async () => {
+    const { wallet, state } = createWallet({ mineOnSend: (s, hash) => s.mined.set(hash, 1) });
+    const replacements = [];
+
+    const receipt = await trackOriginal(wallet, { onReplacement: r => replacements.push(r) }).wait();
+
+    assert.strictEqual(receipt.hash, '0xreplacement1');
+    assert.strictEqual(state.sent.length, 1);
+    assert.strictEqual(state.sent[0].nonce, 7);
+    assert.strictEqual(state.sent[0].data, '0x1234');
+    assert.strictEqual(state.sent[0].gasLimit, 60000n);
+    // +15% on the previous version, above the current network fees
+    assert.strictEqual(state.sent[0].maxFeePerGas, 1150n);
+    assert.strictEqual(state.sent[0].maxPriorityFeePerGas, 115n);
+    assert.deepStrictEqual(replacements.map(r => [r.kind, r.tx, r.nonce, r.replacedHash, r.hash]), [['speed-up', 'bet', 7, '0xoriginal', '0xreplacement1']]);
+});
+
+test('cancels with a 0-value self transfer once the speed-ups are exhausted', async () => {
+    nonceManager.settings.maxSpeedUps = 1;
+    const { wallet, state } = createWallet({
+        // Only the cancellation gets mined
+        mineOnSend: (s, hash, request) => { if (request.data === '0x') s.mined.set(hash, 1); }
+    });
+    const replacements = [];
+
+    await assert.rejects(trackOriginal(wallet, { onReplacement: r => replacements.push(r) }).wait(), /cancelled after being stuck/);
+
+    const cancel = state.sent[1];
+    assert.deepStrictEqual([cancel.to, cancel.value, cancel.data, cancel.gasLimit, cancel.nonce], [ADDRESS, 0n, '0x', 21000n, 7]);
+    assert.ok(cancel.maxFeePerGas > state.sent[0].maxFeePerGas);
+    assert.deepStrictEqual(replacements.map(r => r.kind), ['speed-up', 'cancel']);
+});
+
+test('rejects when the nonce is consumed by a transaction it does not track', async () => {
+    const { wallet, state } = createWallet({ latestNonce: 8 });
+
+    await assert.rejects(trackOriginal(wallet).wait(), (error) => {
+        assert.strictEqual(error.code, 'TRANSACTION_REPLACED');
+        assert.match(error.message, /nonce 7 consumed by another transaction/);
+        return true;
+    });
+    assert.strictEqual(state.sent.length, 0);
+});
+
+test('gives up after the wait deadline when nothing is ever mined', async () => {
+    Object.assign(nonceManager.settings, { stuckMs: 60000, waitTimeoutMs: 20 });
+    const { wallet } = createWallet();
+    wallet.provider.getTransactionReceipt = async () => { throw new Error('rpc down'); };
+
+    await assert.rejects(trackOriginal(wallet).wait(), error => error.code === 'TIMEOUT');
+});
+
+test('rejects a reverted version instead of reporting it as mined', async () => {
+    const { wallet, state } = createWallet();
+    state.mined.set('0xoriginal', 0);
+
+    await assert.rejects(trackOriginal(wallet).wait(), /reverted on-chain/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const stakeOptimizer = require('../src/engine/StakeOptimizer');
+
+const BASE_ODDS = { azuro: [2.3, 3.6, 4.2], overtime: [2.1, 3.9, 3.8] };
+
+/**
+ * AMM-like quote: the odd decays with the stake, so a linear interpolation between samples overstates it.
+ */
+function curveQuote(bookie, outcomeIndex, stake) {
+    return BASE_ODDS[bookie][outcomeIndex] * Math.exp(-stake / 50000);
+}
+
+function optimize(sampleQuote) {
+    return stakeOptimizer.optimize({
+        name: 'Liverpool vs Everton',
+        numOutcomes: 3,
+        maxInvestment: 1000,
+        protocols: ['azuro', 'overtime'],
+        sampleQuote: async (...args) => sampleQuote(...args),
+        gasFees: {},
+        commissions: {}
+    });
+}
+
+test('prices every leg on the odd quoted at the stake it sends', async () => {
+    const result = await optimize(curveQuote);
+
+    assert.strictEqual(result.isArbitrage, true);
+    assert.deepStrictEqual(result.legs.map(l => l.bookie), ['azuro', 'overtime', 'azuro']);
+    for (const leg of result.legs) {
+        const quoted = curveQuote(leg.bookie, leg.outcomeIndex, leg.stake);
+        assert.ok(Math.abs(leg.rawOdd - quoted) / quoted < 0.001, `${leg.bookie} [${leg.outcomeIndex}] ${leg.rawOdd} vs ${quoted}`);
+    }
+});
+
+test('skips the opportunity when the re-quoted stakes keep moving', async () => {
+    let round = 0;
+    // Odds that swing on every quote: the split never settles
+    const result = await optimize((bookie, outcomeIndex, stake) => curveQuote(bookie, outcomeIndex, stake) * (round++ % 2 ? 1.05 : 0.97));
+
+    assert.strictEqual(result.isArbitrage, false);
+    assert.match(result.reason, /did not converge/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Team match and review journals go to a scratch directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hydration-'));
+process.env.LEDGER_DATA_DIR = dataDir;
+
+const { buildEventClusters } = require('../src/utils/dictionaryHydration');
+
+const START = 1800000000;
+
+function market(protocol, id, name, marketKey = 'winner') {
+    return { id, protocol, name, sport: 'Football', startTime: START, marketKey, odds: [2, 3.2, 3.8] };
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('clusters the same market of an event across every protocol, one cluster per market', () => {
+    const clusters = buildEventClusters({
+        azuro: [market('azuro', 'a1', 'Liverpool vs Everton'), market('azuro', 'a2', 'Liverpool vs Everton', 'total:2.5')],
+        overtime: [market('overtime', 'o1', 'Everton FC - Liverpool FC'), market('overtime', 'o2', 'Everton FC - Liverpool FC', 'total:2.5')],
+        dexsport: [market('dexsport', 'd1', 'Liverpool vs Everton')]
+    }, 'azuro');
+
+    assert.deepStrictEqual(clusters.map(c => [c.marketKey, Object.fromEntries(Object.entries(c.events).map(([p, e]) => [p, e.id]))]), [
+        ['winner', { azuro: 'a1', overtime: 'o1', dexsport: 'd1' }],
+        ['total:2.5', { azuro: 'a2', overtime: 'o2' }]
+    ]);
+    assert.strictEqual(clusters[0].reference, 'azuro');
+    assert.deepStrictEqual(clusters[0].swapped, { azuro: false, overtime: true, dexsport: false });
+    assert.strictEqual(clusters[0].id, `${clusters[0].eventId}:winner`);
+});
+
+test('never lets two reference markets claim the same target market', () => {
+    // "Liverpoool" scores higher against "Liverpool" than against "Liverpol", but the exact pair claims it first
+    const clusters = buildEventClusters({
+        azuro: [market('azuro', 'r1', 'Liverpool vs Everton'), market('azuro', 'r2', 'Liverpoool vs Everton')],
+        overtime: [market('overtime', 't1', 'Liverpool vs Everton'), market('overtime', 't2', 'Liverpol vs Everton')]
+    }, 'azuro');
+
+    assert.deepStrictEqual(clusters.map(c => [c.events.azuro.id, c.events.overtime.id]), [['r1', 't1'], ['r2', 't2']]);
+    assert.strictEqual(clusters[0].confidence.overtime, 1);
+    assert.ok(clusters[1].confidence.overtime < 1);
+});
+
+test('leaves a reference market out when its only candidate is claimed by a better match', () => {
+    const clusters = buildEventClusters({
+        azuro: [market('azuro', 'r1', 'Liverpool vs Everton'), market('azuro', 'r2', 'Liverpoool vs Everton')],
+        overtime: [market('overtime', 't1', 'Liverpool vs Everton')]
+    }, 'azuro');
+
+    assert.deepStrictEqual(clusters.map(c => [c.events.azuro.id, c.events.overtime.id]), [['r1', 't1']]);
+});
+
+test('does not persist team names from automatic matches', () => {
+    buildEventClusters({
+        azuro: [market('azuro', 'r1', 'Liverpool vs Everton')],
+        overtime: [market('overtime', 't1', 'Liverpol vs Everton')]
+    }, 'azuro');
+
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'team_matches.jsonl')), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { alignOutcomes, applyNativeOutcomes } = require('../src/utils/outcomeMapping');
+
+// Azuro lists the 1X2 outcomes by condition outcome id, Overtime by fixed position (0 Home, 1 Away, 2 Draw)
+const AZURO_EVENT = { protocol: 'azuro', marketKey: 'winner', outcomeIds: ['29', '30', '31'], outcomeLabels: ['home', 'draw', 'away'] };
+const OVERTIME_EVENT = { protocol: 'overtime', marketKey: 'winner', outcomeLabels: ['home', 'away', 'draw'] };
+
+function cluster(events, swapped = {}) {
+    return { reference: 'azuro', events, swapped };
+}
+
+test('reorders every member on the reference outcomes and keeps their native ids', () => {
+    const alignment = alignOutcomes(
+        cluster({ azuro: AZURO_EVENT, overtime: OVERTIME_EVENT }),
+        { azuro: [2.1, 3.4, 3.6], overtime: [2.2, 3.3, 3.5] }
+    );
+
+    assert.strictEqual(alignment.ok, true);
+    assert.deepStrictEqual(alignment.labels, ['home', 'draw', 'away']);
+    assert.deepStrictEqual(alignment.protocols, ['azuro', 'overtime']);
+    assert.deepStrictEqual(alignment.odds.overtime, [2.2, 3.5, 3.3]);
+    assert.deepStrictEqual(alignment.nativeIds, { azuro: ['29', '30', '31'], overtime: [0, 2, 1] });
+});
+
+test('flips home and away of a member whose teams were matched swapped', () => {
+    const alignment = alignOutcomes(
+        cluster({ azuro: AZURO_EVENT, overtime: OVERTIME_EVENT }, { overtime: true }),
+        { azuro: [2.1, 3.4, 3.6], overtime: [3.5, 2.2, 3.3] }
+    );
+
+    // Overtime's "home" is the reference away team
+    assert.deepStrictEqual(alignment.odds.overtime, [2.2, 3.3, 3.5]);
+    assert.deepStrictEqual(alignment.nativeIds.overtime, [1, 2, 0]);
+});
+
+test('drops a member with a different outcome set and rejects the cluster when no pair is left', () => {
+    const alignment = alignOutcomes(
+        cluster({ azuro: AZURO_EVENT, overtime: OVERTIME_EVENT }),
+        { azuro: [2.1, 3.4, 3.6], overtime: [1.9, 2.0] } // No draw quote on Overtime
+    );
+
+    assert.strictEqual(alignment.ok, false);
+    assert.deepStrictEqual(alignment.dropped.map(d => d.protocol), ['overtime']);
+    assert.match(alignment.reason, /Outcome sets differ/);
+});
+
+test('rejects reference outcomes whose meaning is unknown', () => {
+    const alignment = alignOutcomes(
+        cluster({ azuro: { ...AZURO_EVENT, outcomeLabels: [] }, overtime: OVERTIME_EVENT }),
+        { azuro: [2.1, 3.4, 3.6], overtime: [2.2, 3.3, 3.5] }
+    );
+
+    assert.strictEqual(alignment.ok, false);
+    assert.match(alignment.reason, /Unlabelled azuro outcomes/);
+});
+
+test('rewrites canonical legs with the outcome each protocol expects on-chain', () => {
+    const alignment = alignOutcomes(
+        cluster({ azuro: AZURO_EVENT, overtime: OVERTIME_EVENT }),
+        { azuro: [2.1, 3.4, 3.6], overtime: [2.2, 3.3, 3.5] }
+    );
+    const result = {
+        legs: [
+            { bookie: 'overtime', outcomeIndex: 0 },
+            { bookie: 'overtime', outcomeIndex: 1 },
+            { bookie: 'azuro', outcomeIndex: 2 }
+        ]
+    };
+
+    applyNativeOutcomes(result, alignment);
+
+    assert.deepStrictEqual(result.legs.map(l => [l.canonicalIndex, l.label, l.outcomeIndex]), [
+        [0, 'home', 0],
+        [1, 'draw', 2],
+        [2, 'away', '31']
+    ]);
+    assert.deepStrictEqual(result.outcomeMap.nativeIds, alignment.nativeIds);
+});